@@ -0,0 +1,252 @@
+import { WebSocketServer } from 'ws'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { RoomSimulation, loadWorld } from './simulation.js'
+import { TICK_MS } from '../src/game/movement.js'
+import { MessageGuard } from '../src/game/validation.js'
+import { MAPS } from '../src/game/constants.js'
+
+// Local WebSocket relay for multiplayer development without the hosted Supabase project.
+//
+// It speaks the protocol of src/game/transports/webSocketTransport.js:
+//   client -> relay: { type: 'join', room, key } | { type: 'track', meta } | { type: 'untrack' }
+//                    { type: 'broadcast', event, payload }
+//   relay -> client: { type: 'joined' } | { type: 'broadcast', event, payload, from? }
+//                    { type: 'presence', event: 'sync', state } | { type: 'presence', event: 'join' | 'leave', key, meta }
+//
+// Presence meta gets a join_order from us, counting up as sockets join. Clients
+// elect their host by it (electHost in hostElection.js), so nobody can jump the line.
+//
+// Broadcast events (player-move, chat-message, projectile-spawn, kick-event, request-state, ...)
+// are forwarded untouched to every other client in the same room, like Supabase with self: false,
+// with the sender's presence key as `from` so clients can rate limit by who really sent them.
+// Broadcasts the relay makes itself have no `from`.
+//
+// With a worldOctree (--simulate) the relay is also authoritative: each room runs a
+// RoomSimulation fed by 'player-input' broadcasts, attributed to the sending socket's
+// presence key rather than anything in the payload. Clients learn this from
+// { type: 'joined', authoritative: true } and get 'server-state' (and 'knockback'
+// on hits) from us instead of each other's positions. Our pongs carry the room
+// clock (src/game/clockSync.js) so their timestamps match ours.
+
+const DEFAULT_PORT = 8787
+const DEFAULT_MAP = MAPS.find(map => map.id === 'collision-world')
+const DEFAULT_MAP_PATH = fileURLToPath(new URL(`../public${DEFAULT_MAP.file}`, import.meta.url))
+const STATE_INTERVAL_TICKS = 3 // 20 Hz
+
+// What clients may no longer send once the server simulates the room
+const SERVER_ONLY_EVENTS = ['player-move', 'server-state', 'knockback']
+
+export function createRelay({ port = DEFAULT_PORT, log = console.log, worldOctree = null, spawnPoints = [] } = {}) {
+  const wss = new WebSocketServer({ port })
+  const rooms = new Map() // roomId -> Map(socket -> { key, meta, joinOrder })
+  const simulations = new Map() // roomId -> { simulation, guard, timer }
+  let joinCount = 0
+
+  function sendTo(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message))
+    }
+  }
+
+  function sendToRoom(roomId, message, except = null) {
+    const room = rooms.get(roomId)
+    if (!room) return
+    const data = JSON.stringify(message)
+    room.forEach((client, socket) => {
+      if (socket !== except && socket.readyState === socket.OPEN) {
+        socket.send(data)
+      }
+    })
+  }
+
+  function presenceState(roomId) {
+    const state = {}
+    const room = rooms.get(roomId)
+    if (!room) return state
+    room.forEach((client) => {
+      if (client.meta) state[client.key] = [client.meta]
+    })
+    return state
+  }
+
+  function startSimulation(roomId) {
+    const simulation = new RoomSimulation(worldOctree, spawnPoints)
+    const guard = new MessageGuard()
+
+    simulation.onHit = ({ shooterId, targetId, impulse, damage }) => {
+      sendToRoom(roomId, {
+        type: 'broadcast',
+        event: 'knockback',
+        payload: { userId: shooterId, targetUserId: targetId, impulse, damage, shotAt: Date.now(), timestamp: Date.now() }
+      })
+    }
+
+    // Hitscan shots leave nothing in server-state, so tell everyone to draw the beam
+    simulation.onHitscan = ({ shooterId, id, weaponId, color, origin, direction }) => {
+      sendToRoom(roomId, {
+        type: 'broadcast',
+        event: 'projectile-spawn',
+        payload: {
+          userId: shooterId,
+          id,
+          weaponId,
+          position: { x: origin.x, y: origin.y, z: origin.z },
+          velocity: { x: direction.x, y: direction.y, z: direction.z },
+          color,
+          timestamp: Date.now()
+        }
+      })
+    }
+
+    // setInterval drifts, so catch up on however many ticks are due
+    let nextTickAt = performance.now()
+    const timer = setInterval(() => {
+      const now = performance.now()
+      while (now >= nextTickAt) {
+        simulation.step(nextTickAt)
+        nextTickAt += TICK_MS
+        if (simulation.tick % STATE_INTERVAL_TICKS === 0) {
+          sendToRoom(roomId, {
+            type: 'broadcast',
+            event: 'server-state',
+            payload: { userId: 'server', ...simulation.getState(now), timestamp: Date.now() }
+          })
+        }
+      }
+    }, TICK_MS)
+
+    simulations.set(roomId, { simulation, guard, timer })
+    log(`[Relay] Simulating ${roomId}`)
+  }
+
+  function stopSimulation(roomId) {
+    const entry = simulations.get(roomId)
+    if (!entry) return
+    clearInterval(entry.timer)
+    simulations.delete(roomId)
+    log(`[Relay] Stopped simulating ${roomId}`)
+  }
+
+  function untrack(socket, roomId) {
+    const client = rooms.get(roomId)?.get(socket)
+    if (!client || !client.meta) return
+    const meta = client.meta
+    client.meta = null
+    sendToRoom(roomId, { type: 'presence', event: 'leave', key: client.key, meta })
+  }
+
+  function leave(socket) {
+    const roomId = socket.roomId
+    if (!roomId) return
+    untrack(socket, roomId)
+    const room = rooms.get(roomId)
+    const client = room.get(socket)
+    room.delete(socket)
+    simulations.get(roomId)?.simulation.removePlayer(client.key)
+    if (room.size === 0) {
+      rooms.delete(roomId)
+      stopSimulation(roomId)
+    }
+    socket.roomId = null
+  }
+
+  function handleMessage(socket, message) {
+    switch (message.type) {
+      case 'join': {
+        if (typeof message.room !== 'string' || typeof message.key !== 'string') return
+        leave(socket)
+        if (!rooms.has(message.room)) rooms.set(message.room, new Map())
+        rooms.get(message.room).set(socket, { key: message.key, meta: null, joinOrder: ++joinCount })
+        socket.roomId = message.room
+        if (worldOctree && !simulations.has(message.room)) startSimulation(message.room)
+        sendTo(socket, { type: 'joined', authoritative: !!worldOctree })
+        sendTo(socket, { type: 'presence', event: 'sync', state: presenceState(message.room) })
+        log(`[Relay] ${message.key} joined ${message.room} (${rooms.get(message.room).size} connected)`)
+        break
+      }
+      case 'track': {
+        const client = rooms.get(socket.roomId)?.get(socket)
+        if (!client || !message.meta || typeof message.meta !== 'object') return
+        client.meta = { ...message.meta, join_order: client.joinOrder }
+        // The first member to announce the room's settings picks its movement preset
+        const simulated = simulations.get(socket.roomId)
+        if (simulated && simulated.simulation.tuningPreset === null && client.meta?.room) {
+          simulated.simulation.setTuningPreset(client.meta.room.tuning)
+        }
+        // Sent to everyone including the tracker, like Supabase presence
+        sendToRoom(socket.roomId, { type: 'presence', event: 'join', key: client.key, meta: client.meta })
+        break
+      }
+      case 'untrack':
+        untrack(socket, socket.roomId)
+        break
+      case 'broadcast': {
+        if (!socket.roomId || typeof message.event !== 'string') return
+
+        const key = rooms.get(socket.roomId).get(socket).key
+        const simulated = simulations.get(socket.roomId)
+        if (simulated) {
+          if (SERVER_ONLY_EVENTS.includes(message.event)) return
+          if (message.event === 'player-input') {
+            const input = simulated.guard.check('player-input', { ...message.payload, userId: key }, { sender: key })
+            if (input) simulated.simulation.queueInput(key, input)
+            return
+          }
+          // We keep the room clock: answer pings ourselves (the room still sees them for RTTs)
+          if (message.event === 'ping') {
+            const ping = simulated.guard.check('ping', { ...message.payload, userId: key }, { sender: key })
+            if (ping) {
+              sendTo(socket, {
+                type: 'broadcast',
+                event: 'pong',
+                payload: { userId: 'server', targetUserId: key, sentAt: ping.sentAt, serverTime: Date.now() }
+              })
+            }
+          }
+        }
+
+        sendToRoom(socket.roomId, { type: 'broadcast', event: message.event, payload: message.payload, from: key }, socket)
+        break
+      }
+    }
+  }
+
+  wss.on('connection', (socket) => {
+    socket.roomId = null
+
+    socket.on('message', (data) => {
+      let message
+      try {
+        message = JSON.parse(data.toString())
+      } catch {
+        return
+      }
+      if (message && typeof message === 'object') handleMessage(socket, message)
+    })
+
+    socket.on('close', () => leave(socket))
+    socket.on('error', () => leave(socket))
+  })
+
+  return {
+    wss,
+    rooms,
+    simulations,
+    sendToRoom,
+    close: () => {
+      Array.from(simulations.keys()).forEach(stopSimulation)
+      return new Promise(resolve => wss.close(resolve))
+    }
+  }
+}
+
+// Run directly: node server/relay.js [port] [--simulate]
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2)
+  const simulate = args.includes('--simulate')
+  const port = Number(args.find(arg => !arg.startsWith('--')) || process.env.RELAY_PORT || DEFAULT_PORT)
+
+  const world = simulate ? await loadWorld(DEFAULT_MAP_PATH, DEFAULT_MAP.spawns) : {}
+  createRelay({ port, ...world })
+  console.log(`[Relay] Listening on ws://localhost:${port}${simulate ? ' (authoritative)' : ''}`)
+}
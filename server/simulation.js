@@ -0,0 +1,313 @@
+import * as THREE from 'three'
+import { readFile } from 'fs/promises'
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
+import { Octree } from 'three/addons/math/Octree.js'
+import { PlayerPhysics } from '../src/game/physics.js'
+import { TICK_MS, INPUT_BUTTONS, stepPlayer, lookDirection } from '../src/game/movement.js'
+import {
+  MAX_PROJECTILES,
+  findEvictable,
+  createShot,
+  stepProjectile,
+  isProjectileExpired,
+  collideProjectileWithCapsule,
+  collideExplosionWithCapsule,
+  traceHitscan,
+  collideProjectiles
+} from '../src/game/projectiles.js'
+import { getWeapon, applySpread, createAmmo } from '../src/game/weapons.js'
+import { readSpawnPoints, dropSpawnPoints, chooseSpawnPoint } from '../src/game/spawns.js'
+import { createTuning, applyTuningPreset } from '../src/game/tuning.js'
+
+// Headless room simulation for the authoritative relay (node server/relay.js --simulate).
+//
+// Players are PlayerPhysics capsules driven only by the inputs their clients send
+// (src/game/movement.js), projectiles use the same code as GameEngine
+// (src/game/projectiles.js), so clients predicting locally land where we do.
+
+const TICK_SECONDS = TICK_MS / 1000
+const PROJECTILE_STEPS = 5 // Substeps per tick, like the client's STEPS_PER_FRAME
+const MAX_QUEUED_INPUTS = 30 // Half a second; older inputs are dropped rather than replayed late
+const OWN_SHOT_GRACE_MS = 200 // Same as PlayerPhysics.resolveSphereCollision
+// A shot goes out with the client's first input tick of the next frame, so it can
+// reach us up to a frame (GameEngine.getDeltaTime caps them at 50 ms) and a tick late
+const FIRE_SLACK_MS = 50 + TICK_MS
+
+// Load a GLB map in Node: its collision Octree and spawn points (the map's
+// spawn_* empties, else spawnsXZ from its MAPS entry). Textures are skipped:
+// there's no image decoding here and collisions don't need them.
+export async function loadWorld(path, spawnsXZ = []) {
+  const file = await readFile(path)
+  const buffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength)
+
+  const loader = new GLTFLoader()
+  loader.register(() => ({ name: 'skip-textures', loadTexture: () => Promise.resolve(null) }))
+  const gltf = await loader.parseAsync(buffer, '')
+
+  gltf.scene.updateMatrixWorld(true)
+  const octree = new Octree()
+  octree.fromGraphNode(gltf.scene)
+
+  const spawnPoints = readSpawnPoints(gltf.scene)
+  return { worldOctree: octree, spawnPoints: spawnPoints.length > 0 ? spawnPoints : dropSpawnPoints(spawnsXZ, octree) }
+}
+
+// What PlayerController tracks for its own shots, so clients are held to the same
+// fire rate, magazines, reserves and reloads. lastFireAt is when the last shot was
+// due rather than when it arrived, so shots that come in early (FIRE_SLACK_MS)
+// can't add up to a faster rate. reload: { weaponId, endsAt }
+function createWeaponState() {
+  return { ammo: createAmmo(), lastFireAt: -Infinity, reload: null }
+}
+
+const round = (v) => ({ x: Math.round(v.x * 100) / 100, y: Math.round(v.y * 100) / 100, z: Math.round(v.z * 100) / 100 })
+
+export class RoomSimulation {
+  constructor(worldOctree, spawnPoints = []) {
+    this.worldOctree = worldOctree
+    this.spawnPoints = spawnPoints
+    this.tuning = createTuning() // Shared by every player's physics and the projectiles
+    this.tuningPreset = null // Set from the room settings, see setTuningPreset()
+    this.players = new Map() // userId -> { physics, inputs, lastInput, seq, isMoving, weapons }
+    this.projectiles = [] // { id, ownerId, weaponId, color, collider, velocity, spawnTime, lifetime, hitSet }
+    this.tick = 0
+
+    this.onHit = null // ({ shooterId, targetId, impulse, damage }) => void
+    this.onHitscan = null // ({ shooterId, id, weaponId, color, origin, direction }) => void, for everyone's beam
+  }
+
+  addPlayer(userId) {
+    if (this.players.has(userId)) return this.players.get(userId)
+
+    const physics = new PlayerPhysics(this.worldOctree, this.tuning)
+    physics.spawnPicker = () => this.chooseSpawn(userId)
+    physics.reset()
+    const player = {
+      physics,
+      inputs: [],
+      lastInput: { buttons: 0, yaw: 0, pitch: 0 },
+      seq: 0,
+      isMoving: false,
+      weapons: createWeaponState()
+    }
+    this.players.set(userId, player)
+    return player
+  }
+
+  removePlayer(userId) {
+    this.players.delete(userId)
+  }
+
+  // The room's preset from tuning.js (unknown ids are the default)
+  setTuningPreset(presetId) {
+    this.tuningPreset = presetId
+    applyTuningPreset(this.tuning, presetId)
+  }
+
+  // input: validated 'player-input' payload ({ seq, buttons, yaw, pitch, fire? })
+  queueInput(userId, input) {
+    const player = this.addPlayer(userId)
+    if (input.seq <= player.seq) return // Duplicate or reordered
+
+    player.inputs.push(input)
+    if (player.inputs.length > MAX_QUEUED_INPUTS) player.inputs.shift()
+  }
+
+  step(now = performance.now()) {
+    this.tick++
+
+    // One queued input per player per tick. Without one we keep going the way
+    // they were going (the packet is late, not a key release).
+    this.players.forEach((player, userId) => {
+      const input = player.inputs.shift() ||
+        { ...player.lastInput, buttons: player.lastInput.buttons & ~INPUT_BUTTONS.RESPAWN, fire: null, reload: null }
+      player.lastInput = input
+      if (input.seq) player.seq = input.seq
+
+      // Respawning comes with a full loadout, like PlayerController.resetAmmo
+      if (input.buttons & INPUT_BUTTONS.RESPAWN) player.weapons = createWeaponState()
+
+      player.isMoving = stepPlayer(player.physics, input, TICK_SECONDS, this.getColliders(userId))
+
+      if (input.fire) this.fire(userId, player, input, now)
+      if (input.reload) this.startReload(player.weapons, input.reload, now)
+    })
+
+    this.updateProjectiles(now)
+  }
+
+  fire(userId, player, input, now) {
+    const { fire } = input
+    const weapon = getWeapon(fire.weaponId)
+    if (!this.takeShot(player.weapons, weapon, now)) return
+
+    const direction = applySpread(lookDirection(input.yaw, input.pitch), weapon.spread, fire.seed || 0)
+
+    if (weapon.kind === 'hitscan') {
+      const origin = player.physics.collider.end.clone()
+      const result = traceHitscan(origin, direction, weapon, this.worldOctree, this.getColliders(userId))
+      if (result.targetId) this.hit(userId, result.targetId, result)
+      if (this.onHitscan) {
+        this.onHitscan({ shooterId: userId, id: fire.id, weaponId: weapon.id, color: fire.color, origin, direction })
+      }
+      return
+    }
+
+    const { position, velocity } = createShot(player.physics, direction, weapon.charge ? fire.charge : 0, undefined, weapon)
+
+    if (this.projectiles.length >= MAX_PROJECTILES) {
+      const index = findEvictable(this.projectiles)
+      if (index >= 0) this.projectiles.splice(index, 1)
+      else this.explode(this.projectiles.shift())
+    }
+    this.projectiles.push({
+      id: fire.id,
+      ownerId: userId,
+      weaponId: weapon.id,
+      color: fire.color,
+      collider: new THREE.Sphere(position, weapon.radius),
+      velocity,
+      spawnTime: now,
+      lifetime: weapon.lifetimeMs,
+      hitSet: new Set()
+    })
+  }
+
+  // PlayerController.shoot's rules: too soon after the last shot, mid-reload or an
+  // empty magazine and there is no shot; the last round starts a reload. now is
+  // tick time, which never runs ahead of the client's (one input per tick).
+  takeShot(weapons, weapon, now) {
+    this.updateReload(weapons, now)
+    if (weapons.reload && weapons.reload.weaponId !== weapon.id) weapons.reload = null // Switched away from it
+    const dueAt = weapons.lastFireAt + weapon.fireIntervalMs
+    if (weapons.reload || now < dueAt - FIRE_SLACK_MS) return false
+
+    const ammo = weapons.ammo[weapon.id]
+    if (ammo.magazine === 0) {
+      this.startReload(weapons, weapon.id, now)
+      return false
+    }
+
+    ammo.magazine--
+    weapons.lastFireAt = Math.max(now, dueAt)
+    if (ammo.magazine === 0) this.startReload(weapons, weapon.id, now)
+    return true
+  }
+
+  // Refill a magazine from reserve after the weapon's reloadMs. Another weapon's
+  // reload is dropped: the client switched away from it.
+  startReload(weapons, weaponId, now) {
+    const weapon = getWeapon(weaponId)
+    const ammo = weapons.ammo[weapon.id]
+    if (weapons.reload?.weaponId === weapon.id || ammo.magazine >= weapon.magazine || ammo.reserve === 0) return
+    weapons.reload = { weaponId: weapon.id, endsAt: now + weapon.reloadMs }
+  }
+
+  updateReload(weapons, now) {
+    if (!weapons.reload || now < weapons.reload.endsAt - FIRE_SLACK_MS) return
+
+    const weapon = getWeapon(weapons.reload.weaponId)
+    const ammo = weapons.ammo[weapon.id]
+    const loaded = Math.min(weapon.magazine - ammo.magazine, ammo.reserve)
+    ammo.magazine += loaded
+    ammo.reserve -= loaded
+    weapons.reload = null
+  }
+
+  hit(shooterId, targetId, { impulse, damage }) {
+    const target = this.players.get(targetId)
+    if (!target) return
+    target.physics.applyImpulse(impulse)
+    if (this.onHit) this.onHit({ shooterId, targetId, impulse, damage })
+  }
+
+  // A grenade's fuse ran out: push everyone nearby, the thrower without damage
+  explode(projectile) {
+    this.players.forEach((player, userId) => {
+      const { collider } = player.physics
+      const hit = collideExplosionWithCapsule(projectile, collider.start, collider.end, collider.radius)
+      if (!hit) return
+      if (userId === projectile.ownerId) {
+        player.physics.applyImpulse(hit.impulse)
+      } else {
+        this.hit(projectile.ownerId, userId, hit)
+      }
+    })
+  }
+
+  updateProjectiles(now) {
+    const deltaTime = TICK_SECONDS / PROJECTILE_STEPS
+
+    for (let step = 0; step < PROJECTILE_STEPS; step++) {
+      for (let i = this.projectiles.length - 1; i >= 0; i--) {
+        const projectile = this.projectiles[i]
+        stepProjectile(projectile, deltaTime, this.worldOctree, this.tuning)
+
+        this.players.forEach((player, userId) => {
+          if (userId === projectile.ownerId && now - projectile.spawnTime < OWN_SHOT_GRACE_MS) return
+
+          const { collider } = player.physics
+          const hit = collideProjectileWithCapsule(projectile, collider.start, collider.end, collider.radius)
+          // Own shots bounce off but never knock us back
+          if (!hit || !hit.approaching || userId === projectile.ownerId || projectile.hitSet.has(userId)) return
+
+          projectile.hitSet.add(userId)
+          this.hit(projectile.ownerId, userId, hit)
+        })
+
+        if (isProjectileExpired(projectile, now)) {
+          if (getWeapon(projectile.weaponId).explosion) this.explode(projectile)
+          this.projectiles.splice(i, 1)
+        }
+      }
+
+      collideProjectiles(this.projectiles)
+    }
+  }
+
+  // Teams live in the host's match state, which we don't follow, so every other
+  // player counts as an enemy and any point will do
+  chooseSpawn(userId) {
+    const occupied = this.getColliders(userId)
+    const enemies = occupied.map(capsule => capsule.end)
+    return chooseSpawnPoint(this.spawnPoints, { enemies, occupied })
+  }
+
+  // Capsules of everyone but userId, in the shape PlayerPhysics.resolvePlayerCollisions expects
+  getColliders(exceptUserId) {
+    const colliders = []
+    this.players.forEach((player, userId) => {
+      if (userId === exceptUserId) return
+      const { collider } = player.physics
+      colliders.push({ id: userId, start: collider.start, end: collider.end, radius: collider.radius })
+    })
+    return colliders
+  }
+
+  // Payload for 'server-state'
+  getState(now = performance.now()) {
+    return {
+      tick: this.tick,
+      players: Array.from(this.players.entries()).map(([userId, player]) => ({
+        userId,
+        position: round(player.physics.getPosition()),
+        velocity: round(player.physics.velocity),
+        yaw: Math.round(player.lastInput.yaw * 1000) / 1000,
+        isMoving: player.isMoving,
+        onFloor: player.physics.onFloor,
+        moveState: player.physics.moveState,
+        stamina: Math.round(player.physics.stamina * 100) / 100,
+        seq: player.seq
+      })),
+      projectiles: this.projectiles.map(projectile => ({
+        id: projectile.id,
+        ownerId: projectile.ownerId,
+        weaponId: projectile.weaponId,
+        position: round(projectile.collider.center),
+        velocity: round(projectile.velocity),
+        color: projectile.color,
+        remaining: Math.max(0, Math.round(projectile.lifetime - (now - projectile.spawnTime)))
+      }))
+    }
+  }
+}
@@ -1,6 +1,7 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { AuthForm } from './components/Auth'
 import { CharacterSelect } from './components/CharacterSelect'
+import { Lobby } from './components/Lobby'
 import { Game } from './components/Game'
 import { VersionManager } from './components/VersionManager'
 import { supabase, signIn, signUp, signOut, getSession, onAuthStateChange } from './lib/supabase'
@@ -9,6 +10,10 @@ import './App.css'
 function App() {
   const [user, setUser] = useState(null)
   const [characterProfile, setCharacterProfile] = useState(null)
+  const [room, setRoom] = useState(null)
+  const [isSpectating, setIsSpectating] = useState(false)
+  // Deep link: ?room=<id> skips the room list once a character is picked
+  const [linkedRoomId, setLinkedRoomId] = useState(() => new URLSearchParams(window.location.search).get('room'))
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
@@ -53,10 +58,28 @@ function App() {
     setCharacterProfile(profile)
   }
 
+  // Keep the URL pointing at the current room so it can be shared
+  const handleJoinRoom = useCallback((roomSettings, { spectate = false } = {}) => {
+    const url = new URL(window.location.href)
+    url.searchParams.set('room', roomSettings.id)
+    window.history.replaceState(null, '', url)
+    setLinkedRoomId(null)
+    setIsSpectating(spectate)
+    setRoom(roomSettings)
+  }, [])
+
+  const handleLeaveRoom = () => {
+    const url = new URL(window.location.href)
+    url.searchParams.delete('room')
+    window.history.replaceState(null, '', url)
+    setRoom(null)
+  }
+
   const handleLogout = async () => {
     await signOut()
     setUser(null)
     setCharacterProfile(null)
+    setRoom(null)
   }
 
   const handleChangeCharacter = (newProfile) => {
@@ -95,14 +118,33 @@ function App() {
     )
   }
 
+  if (!room) {
+    const username = user.user_metadata?.username || user.email?.split('@')[0] || 'Player'
+    return (
+      <div className="app">
+        <Lobby
+          user={user}
+          username={username}
+          initialRoomId={linkedRoomId}
+          onJoinRoom={handleJoinRoom}
+          onChangeCharacter={handleChangeCharacter}
+        />
+      </div>
+    )
+  }
+
   return (
     <div className="app">
       <VersionManager />
       <Game 
         user={user} 
         profile={characterProfile} 
+        roomId={room.id}
+        roomSettings={room}
+        spectator={isSpectating}
         onLogout={handleLogout}
         onChangeCharacter={handleChangeCharacter}
+        onLeaveRoom={handleLeaveRoom}
       />
     </div>
   )
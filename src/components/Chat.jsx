@@ -1,7 +1,7 @@
 import { useState, useRef, useEffect } from 'react'
 import './Chat.css'
 
-export function Chat({ messages, onSendMessage, players, isMaster, onKickPlayer }) {
+export function Chat({ messages, onSendMessage, players }) {
   const [inputValue, setInputValue] = useState('')
   const [chatColor, setChatColor] = useState('#a5b4fc') // Default color
   const [isExpanded, setIsExpanded] = useState(false)
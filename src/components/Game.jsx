@@ -2,15 +2,54 @@ import { useEffect, useRef, useState, useCallback, useMemo } from 'react'
 import * as THREE from 'three'
 import { GameEngine } from '../game/engine'
 import { PlayerPhysics, STEPS_PER_FRAME } from '../game/physics'
-import { PlayerController } from '../game/player'
-import { MultiplayerManager } from '../game/multiplayer'
-import { RemotePlayersManager } from '../game/remotePlayers'
+import { PlayerController, CAMERA_MODES } from '../game/player'
+import { TICK_MS } from '../game/movement'
+import { getWeapon } from '../game/weapons'
+import { MultiplayerManager, CONNECTION_STATES } from '../game/multiplayer'
+import { RemotePlayersManager, MAX_REWIND_MS, roundRewindMs } from '../game/remotePlayers'
+import { HealthSystem, MAX_HEALTH } from '../game/health'
+import { MatchManager, MATCH_PHASES, GAME_MODES, TEAMS, formatMatchTime } from '../game/match'
+import { FlagManager } from '../game/flags'
+import { readSpawnPoints, dropSpawnPoints, chooseSpawnPoint } from '../game/spawns'
+import { createTuning } from '../game/tuning'
+import { LobbyManager, normalizeRoomSettings } from '../game/lobby'
+import { MAPS } from '../game/constants'
+import { MODERATION_ACTIONS, ROLES, getRole, canModerateUser, describeBan } from '../game/moderation'
 import { Chat } from './Chat'
+import { Scoreboard, RoundSummary } from './Scoreboard'
+import { NetGraph } from './NetGraph'
+import { TuningPanel } from './TuningPanel'
+import { WeaponHud } from './WeaponHud'
 import { CharacterSelectModal } from './CharacterSelectModal'
-import { getAllProfiles } from '../lib/supabase'
+import { getAllProfiles, getRoles, getActiveBan, recordModerationAction } from '../lib/supabase'
 import './Game.css'
 
-export function Game({ user, profile, onLogout, onChangeCharacter }) {
+const NOTIFICATION_ICONS = {
+  join: '👋',
+  leave: '🚪',
+  kill: '💥',
+  match: '🏁'
+}
+
+const PHASE_LABELS = {
+  [MATCH_PHASES.WARMUP]: 'Warmup',
+  [MATCH_PHASES.RUNNING]: 'Live',
+  [MATCH_PHASES.ROUND_END]: 'Round over',
+  [MATCH_PHASES.INTERMISSION]: 'Next round'
+}
+
+const CONNECTION_LABELS = {
+  [CONNECTION_STATES.CONNECTING]: 'Connecting...',
+  [CONNECTION_STATES.CONNECTED]: 'Connected',
+  [CONNECTION_STATES.RECONNECTING]: 'Reconnecting...',
+  [CONNECTION_STATES.DISCONNECTED]: 'Disconnected'
+}
+
+// How often the host publishes projectiles and match state for everyone to reconcile against
+const WORLD_SNAPSHOT_INTERVAL_MS = 250
+
+// spectator: watch without a body (free-fly or chase camera)
+export function Game({ user, profile, roomId, roomSettings, spectator = false, onLogout, onChangeCharacter, onLeaveRoom }) {
   const containerRef = useRef(null)
   const gameRef = useRef(null)
   const animationRef = useRef(null)
@@ -21,16 +60,29 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
   const [messages, setMessages] = useState([])
   const [onlinePlayers, setOnlinePlayers] = useState([])
   const [allProfiles, setAllProfiles] = useState([])
-  const [isConnected, setIsConnected] = useState(false)
+  const [connection, setConnection] = useState({ state: CONNECTION_STATES.CONNECTING })
   const [isThirdPerson, setIsThirdPerson] = useState(false)
   const [ballColor, setBallColor] = useState(profile?.color || '#ffff00')
   const [showCharacterModal, setShowCharacterModal] = useState(false)
   const [notifications, setNotifications] = useState([])
+  const [playerHealth, setPlayerHealth] = useState({ health: MAX_HEALTH, maxHealth: MAX_HEALTH, isDead: false, isProtected: false })
+  const [respawnSeconds, setRespawnSeconds] = useState(0)
+  const [matchState, setMatchState] = useState(null)
+  const [isHost, setIsHost] = useState(false)
+  const [showScoreboard, setShowScoreboard] = useState(false)
+  const [clockNow, setClockNow] = useState(() => Date.now())
+  const [showNetGraph, setShowNetGraph] = useState(false)
+  const [showTuning, setShowTuning] = useState(false)
+  const [netStats, setNetStats] = useState(null)
+  const [spectatorView, setSpectatorView] = useState({ mode: CAMERA_MODES.FREE_FLY, targetId: null })
   const initialSyncDoneRef = useRef(false) // Track if initial presence sync is complete
+  const resyncPendingRef = useRef(false) // Next presence sync follows a reconnect
   const pendingLeavesRef = useRef(new Map()) // Store pending leave timers
 
   const username = user.user_metadata?.username || user.email?.split('@')[0] || 'Player'
-  const isMaster = user.email === 'bucheongosok@gmail.com'
+  const [roles, setRoles] = useState({})
+  const myRole = getRole(roles, user.id)
+  const room = useMemo(() => normalizeRoomSettings(roomId, roomSettings), [roomId, roomSettings])
 
   // Fetch all profiles on mount
   useEffect(() => {
@@ -49,6 +101,8 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
     // Map of online user IDs
     const onlineMap = new Set(onlinePlayers.map(p => p.userId))
     onlineMap.add(user.id) // Self is always online
+    const spectators = new Set(onlinePlayers.filter(p => p.isSpectator).map(p => p.userId))
+    if (spectator) spectators.add(user.id)
 
     // Create list from all profiles
     let list = allProfiles.map(p => ({
@@ -56,7 +110,8 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
       username: p.username || p.display_name || 'Unknown',
       email: p.email, // Add email
       isOnline: onlineMap.has(p.id),
-      isSelf: p.id === user.id
+      isSelf: p.id === user.id,
+      isSpectator: spectators.has(p.id)
     }))
 
     // Add any online players not in profiles (guests/temp)
@@ -67,7 +122,8 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
           username: op.username,
           email: 'Guest', // Default for unknown
           isOnline: true,
-          isSelf: false
+          isSelf: false,
+          isSpectator: op.isSpectator
         })
       }
     })
@@ -79,7 +135,8 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
         username,
         email: user.email, // Use current user email
         isOnline: true,
-        isSelf: true
+        isSelf: true,
+        isSpectator: spectator
       })
     }
 
@@ -91,7 +148,16 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
       if (!a.isOnline && b.isOnline) return 1
       return a.username.localeCompare(b.username)
     })
-  }, [allProfiles, onlinePlayers, user.id, username])
+  }, [allProfiles, onlinePlayers, user.id, username, spectator])
+
+  // Scoreboard rows from the match state and known usernames
+  const scoreboardRows = useMemo(() => {
+    const match = gameRef.current?.match
+    if (!match || !matchState) return []
+    const names = { [user.id]: username }
+    onlinePlayers.forEach(p => { names[p.userId] = p.username })
+    return match.getScoreboard(names)
+  }, [matchState, onlinePlayers, user.id, username])
 
   const addNotification = useCallback((message, type) => {
     const id = Date.now() + Math.random()
@@ -111,6 +177,16 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
     }
   }
 
+  const handleToggleSpectatorCamera = () => {
+    const controller = gameRef.current?.controller
+    if (!controller) return
+    if (controller.cameraMode === CAMERA_MODES.CHASE) {
+      controller.setCameraMode(CAMERA_MODES.FREE_FLY)
+    } else {
+      controller.cycleChaseTarget(1)
+    }
+  }
+
   const handleBallColorChange = (e) => {
     const color = e.target.value
     setBallColor(color)
@@ -119,6 +195,12 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
     }
   }
 
+  const handleModeChange = (e) => {
+    if (gameRef.current?.match) {
+      gameRef.current.match.setMode(e.target.value)
+    }
+  }
+
   const handleSendMessage = useCallback((message, color) => {
     if (gameRef.current?.multiplayer) {
       gameRef.current.multiplayer.sendChatMessage(message, color)
@@ -133,11 +215,38 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
     }
   }, [user.id, username, profile])
 
-  const handleKickPlayer = useCallback((targetUserId) => {
-    if (gameRef.current?.multiplayer && isMaster) {
-      gameRef.current.multiplayer.kickPlayer(targetUserId)
+  // Record the action first: the target only obeys a kick-event it can find in the bans table
+  const handleModerate = useCallback(async (targetUserId, action) => {
+    if (!gameRef.current?.multiplayer || !canModerateUser(myRole, getRole(roles, targetUserId))) return
+
+    const { error } = await recordModerationAction({
+      userId: targetUserId,
+      action,
+      roomId,
+      durationMs: MODERATION_ACTIONS[action].durationMs,
+      createdBy: user.id
+    })
+    if (error) {
+      console.error('Failed to record moderation action:', error)
+      alert(`Could not ${MODERATION_ACTIONS[action].label.toLowerCase()}: ${error.message}`)
+      return
+    }
+
+    gameRef.current?.multiplayer?.kickPlayer(targetUserId, action)
+  }, [myRole, roles, roomId, user.id])
+
+  // Roles rarely change; refresh now and then so new moderators are recognized
+  useEffect(() => {
+    const refreshRoles = () => {
+      getRoles().then(latest => {
+        setRoles(latest)
+        gameRef.current?.multiplayer?.setRoles(latest)
+      })
     }
-  }, [isMaster])
+    refreshRoles()
+    const interval = setInterval(refreshRoles, 60000)
+    return () => clearInterval(interval)
+  }, [])
 
   useEffect(() => {
     if (!containerRef.current) return
@@ -147,11 +256,28 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
     let controller = null
     let multiplayer = null
     let remotePlayers = null
+    let health = null
+    let match = null
+    let flags = null
+    let lobby = null
     let isRunning = true
+    const syncTimers = [] // State request retries and the markSynced fallback, cleared on cleanup
+
+    const map = MAPS.find(m => m.id === room.map) || MAPS[0]
 
     async function initGame() {
       try {
 
+        // Banned (or recently kicked) players don't get in
+        setLoadingStatus('Checking access...')
+        const ban = await getActiveBan(user.id)
+        if (!isRunning) return
+        if (ban) {
+          alert(describeBan(ban))
+          onLeaveRoom()
+          return
+        }
+
         // Clear container first to prevent duplicate canvases
         if (containerRef.current) {
           containerRef.current.innerHTML = ''
@@ -159,7 +285,9 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
 
         // Step 1: Initialize Three.js engine
         setLoadingStatus('Setting up 3D engine...')
-        engine = new GameEngine(containerRef.current)
+        // One tuning object for the engine and our physics: the room's preset, edited live by the tuning panel
+        const tuning = createTuning(room.tuning)
+        engine = new GameEngine(containerRef.current, { tuning })
         // Store engine reference immediately for cleanup
         if (!gameRef.current) gameRef.current = {}
         gameRef.current.engine = engine
@@ -167,25 +295,110 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
 
         // Step 2: Load map
         setLoadingStatus('Loading map...')
+        let spawnPoints = []
         try {
-          await engine.loadMap()
+          if (!map.file) throw new Error(`Map "${map.id}" has no model file`)
+          spawnPoints = readSpawnPoints(await engine.loadMap(map.file))
         } catch (error) {
           console.warn('Map load failed, creating placeholder world:', error)
           createPlaceholderWorld(engine)
         }
+        if (spawnPoints.length === 0) spawnPoints = dropSpawnPoints(map.spawns, engine.worldOctree)
 
-        // Step 3: Initialize physics
+        // Step 3: Initialize physics (spectators have no body)
         setLoadingStatus('Initializing physics...')
-        physics = new PlayerPhysics(engine.worldOctree)
-        // Reset physics to ensure player starts at safe position
-        physics.reset()
+        if (spectator) {
+          engine.camera.position.set(0, 10, 0)
+        } else {
+          physics = new PlayerPhysics(engine.worldOctree, tuning)
+          // Every (re)spawn, fall or death alike: away from enemies, clear of other players
+          physics.spawnPicker = () => {
+            const team = match?.getTeam(user.id) || null
+            const occupied = remotePlayers?.getRemoteColliders({ all: true }) || []
+            const enemies = occupied
+              .filter(capsule => !team || match.getTeam(capsule.id) !== team)
+              .map(capsule => capsule.position)
+            return chooseSpawnPoint(spawnPoints, { team, enemies, occupied })
+          }
+          // Reset physics to ensure player starts at safe position
+          physics.reset()
+        }
 
         // Step 4: Initialize player controller
         setLoadingStatus('Setting up controls...')
         controller = new PlayerController(engine.camera, physics, engine.renderer.domElement, engine, profile)
+        controller.onCameraModeChange = (mode, targetId) => setSpectatorView({ mode, targetId })
+
+        // Health, death and respawn for the local player
+        health = new HealthSystem()
+
+        health.onChange = (state) => {
+          setPlayerHealth(state)
+          if (gameRef.current?.multiplayer) {
+            gameRef.current.multiplayer.broadcastHealth(state.health, state.isDead, health.lastAttackerId)
+          }
+        }
+
+        health.onDeath = (attackerId) => {
+          controller.setEnabled(false)
+          if (match) {
+            const feet = physics.collider.start.clone()
+            feet.y -= physics.collider.radius
+            match.recordKill(attackerId, user.id, feet)
+          }
+          const attacker = gameRef.current?.remotePlayers?.players.get(attackerId)
+          addNotification(attacker ? `${attacker.username} knocked you out` : 'You were knocked out', 'kill')
+        }
+
+        health.onRespawn = () => {
+          if (!physics) return
+          physics.reset()
+          if (multiplayer?.authoritative) controller.queueRespawn()
+          engine.camera.position.copy(physics.collider.end)
+          controller.resetAmmo()
+          controller.setEnabled(true)
+          if (gameRef.current?.multiplayer) {
+            gameRef.current.multiplayer.broadcastPosition(controller.getState(), true)
+          }
+        }
+
+        // Match lifecycle (modes, scores, flags)
+        // Phase deadlines are compared on every client, so they use the room clock
+        match = new MatchManager(user.id, room.mode, { clock: () => multiplayer?.serverTime() ?? Date.now() })
+        flags = new FlagManager(engine.scene, engine.worldOctree, map.flagBases)
+        match.setFlagBases(flags.bases)
+        match.setPlayers([user.id])
+
+        match.onStateChange = (state) => {
+          if (gameRef.current?.multiplayer) {
+            gameRef.current.multiplayer.broadcastMatchState(state)
+          }
+        }
+
+        match.onUpdate = (state) => {
+          setMatchState({ ...state })
+
+          // Team stripes on nameplates
+          const activeRemotePlayers = gameRef.current?.remotePlayers
+          if (activeRemotePlayers) {
+            activeRemotePlayers.players.forEach((player, userId) => {
+              const team = match.getTeam(userId)
+              activeRemotePlayers.setPlayerTeam(userId, team ? TEAMS[team].color : null)
+            })
+          }
+        }
+
+        match.onPhaseChange = (phase) => {
+          // Everybody starts a round fresh
+          if (phase === MATCH_PHASES.RUNNING) {
+            if (physics) health.respawn()
+            addNotification(`${GAME_MODES[match.state.mode].name} - round ${match.state.round} started`, 'match')
+          }
+        }
 
         // Step 5: Initialize remote players manager
         remotePlayers = new RemotePlayersManager(engine.scene)
+        controller.setRemotePlayers(remotePlayers)
 
         // Preload models for smooth multiplayer experience
         setLoadingStatus('Loading characters...')
@@ -193,7 +406,9 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
 
         // Step 6: Connect to multiplayer
         setLoadingStatus('Connecting to server...')
-        multiplayer = new MultiplayerManager(user.id, username, profile)
+        multiplayer = new MultiplayerManager(user.id, username, profile, { spectator })
+        let worldTick = 0 // Host's snapshot counter
+        let worldStateReceived = false
 
         // Connect controller to multiplayer for projectile sync
         controller.setMultiplayer(multiplayer)
@@ -225,7 +440,7 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
             pendingLeaves.delete(presence.user_id)
 
             // Just update the player model/info
-            if (activeRemotePlayers) {
+            if (activeRemotePlayers && !presence.spectator) {
               activeRemotePlayers.addPlayer(presence.user_id, presence.username, presence.color, undefined, presence.model_url || presence.modelUrl)
             }
             return // Stop here, no notification
@@ -237,7 +452,8 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
             if (activeRemotePlayers.players.has(presence.user_id)) {
               isNewPlayer = false;
             }
-            activeRemotePlayers.addPlayer(presence.user_id, presence.username, presence.color, undefined, presence.model_url || presence.modelUrl)
+            // Spectators are in presence but have no avatar
+            if (!presence.spectator) activeRemotePlayers.addPlayer(presence.user_id, presence.username, presence.color, undefined, presence.model_url || presence.modelUrl)
           }
 
 
@@ -247,7 +463,7 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
             // Avoid duplicate join notifications if they happen too close
             // We can check if we recently showed a join notif for this user?
             // For now, trust the event.
-            addNotification(`${presence.username} joined the game`, 'join')
+            addNotification(`${presence.username} ${presence.spectator ? 'is spectating' : 'joined the game'}`, 'join')
           }
 
           // Broadcast our position to the new player
@@ -300,20 +516,35 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
                 userId: id,
                 username: presence?.username || 'Unknown',
                 color: presence?.color,
-                modelUrl: presence?.model_url || presence?.modelUrl
+                modelUrl: presence?.model_url || presence?.modelUrl,
+                isSpectator: !!presence?.spectator
               }
             })
 
           // For initial sync, add existing players silently (no notification)
-          if (!initialSyncDoneRef.current && activeRemotePlayers) {
-            playerList.forEach(({ userId, username, color, modelUrl }) => {
-              if (!activeRemotePlayers.players.has(userId)) {
+          if ((!initialSyncDoneRef.current || resyncPendingRef.current) && activeRemotePlayers) {
+            playerList.forEach(({ userId, username, color, modelUrl, isSpectator }) => {
+              if (!isSpectator && !activeRemotePlayers.players.has(userId)) {
                 activeRemotePlayers.addPlayer(userId, username, color, undefined, modelUrl)
               }
             })
           }
 
-          setOnlinePlayers(playerList.map(p => ({ userId: p.userId, username: p.username })))
+          // After a reconnect, drop anyone who left while we were away (we never saw their leave)
+          if (resyncPendingRef.current && activeRemotePlayers) {
+            resyncPendingRef.current = false
+            const present = new Set(playerList.map(p => p.userId))
+            Array.from(activeRemotePlayers.players.keys()).forEach(userId => {
+              if (!present.has(userId)) activeRemotePlayers.removePlayer(userId)
+            })
+          }
+
+          setOnlinePlayers(playerList.map(p => ({ userId: p.userId, username: p.username, isSpectator: p.isSpectator })))
+
+          // Match players follow presence, spectators don't play
+          if (match) {
+            match.setPlayers(Object.keys(state).filter(id => !state[id][0]?.spectator))
+          }
 
           // Mark initial sync as complete after first sync
           if (!initialSyncDoneRef.current) {
@@ -327,70 +558,201 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
           if (engine) {
             const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z)
             const velocity = new THREE.Vector3(data.velocity.x, data.velocity.y, data.velocity.z)
-            engine.createProjectile(position, velocity, data.color)
+            // Hitscan: just the beam, the shooter (or server) already dealt with the hit
+            if (getWeapon(data.weaponId).kind === 'hitscan') {
+              if (velocity.lengthSq() === 0) return
+              engine.fireHitscan(position, velocity.normalize(), data.weaponId, {
+                color: data.color,
+                remoteColliders: remotePlayers.getRemoteColliders({ all: true })
+              })
+              return
+            }
+            // The shooter fired at players as they were drawn this long ago
+            const rewindMs = roundRewindMs(multiplayer.serverTime() - data.timestamp)
+            engine.createProjectile(position, velocity, data.color, {
+              id: data.id,
+              ownerId: data.userId,
+              weaponId: data.weaponId,
+              rewindMs,
+              firedAt: data.timestamp
+            })
           }
         }
 
-        multiplayer.onKick = (data) => {
-          if (data.targetUserId === user.id) {
-            multiplayer.disconnect()
-            alert('You have been kicked by the master.')
-            onLogout()
-          } else {
-            remotePlayers.removePlayer(data.targetUserId)
+        // The host runs the match and publishes world snapshots; migrating just
+        // means the next host carries on from its copy, which is the last state the
+        // old host sent (nobody gets in line before they have it, see markSynced)
+        multiplayer.onHostChange = (hostId, previousHostId) => {
+          const isNowHost = hostId === user.id
+          if (match && isNowHost !== match.isOwner) match.setOwner(isNowHost)
+          setIsHost(isNowHost)
+
+          if (previousHostId && hostId && initialSyncDoneRef.current) {
+            addNotification(isNowHost ? 'You are now hosting this room' : 'Host migrated', 'match')
+          }
+        }
+
+        // Projectiles come from server-state instead when the relay simulates the room
+        multiplayer.onWorldSnapshot = (data) => {
+          if (engine && !multiplayer.authoritative) engine.reconcileProjectiles(data.projectiles)
+          if (match && data.match) match.applyState(data.match)
+        }
+
+        multiplayer.onServerState = (data) => {
+          engine.reconcileProjectiles(data.projectiles)
+
+          data.players.forEach(state => {
+            if (state.userId !== user.id) {
+              remotePlayers.updatePlayer(state.userId, {
+                position: state.position,
+                rotation: { y: state.yaw },
+                isMoving: state.isMoving,
+                moveState: state.moveState,
+                timestamp: data.timestamp
+              })
+            } else if (physics) {
+              // Rewind to the server's view of us and replay what it hasn't seen yet
+              controller.prediction.reconcile(state, remotePlayers.getRemoteColliders())
+            }
+          })
+        }
+
+        // Only reaches us if the sender is staff in the roles table
+        // Only the target acts on a kick. Everyone else sees them go when their
+        // presence leaves: we can't read other players' bans to tell a forged one
+        multiplayer.onKick = async (data) => {
+          if (data.targetUserId !== user.id) return
+
+          // Broadcasts can be forged, the bans table can't
+          const ban = await getActiveBan(user.id)
+          if (!ban) {
+            console.warn('Ignoring kick-event without a matching ban record')
+            return
           }
+          multiplayer.disconnect()
+          alert(describeBan(ban))
+          onLeaveRoom()
         }
 
+        // Only the host answers, with everything a newcomer can't see yet:
+        // projectiles in flight, match and flag state, and where everyone is
         multiplayer.onRequestState = (data) => {
-          if (controller) {
-            multiplayer.broadcastPosition(controller.getState(), true)
+          if (!multiplayer.isHost() || !controller || !health) return
+
+          const { position, rotation, moveState } = controller.getState()
+          const players = remotePlayers.getPlayerStates().filter(p => p.userId !== data.userId)
+          if (physics) {
+            players.unshift({ userId: user.id, position, yaw: rotation.y, moveState, health: health.health, isDead: health.isDead })
           }
+          multiplayer.sendWorldState(data.userId, {
+            tick: worldTick,
+            projectiles: engine.getProjectileSnapshot(),
+            match: match.state,
+            players
+          })
+        }
+
+        multiplayer.onWorldState = (data) => {
+          worldStateReceived = true
+          if (!multiplayer.authoritative) engine.reconcileProjectiles(data.projectiles)
+          if (data.match) match.applyState(data.match)
+          data.players.forEach(player => {
+            if (player.userId !== user.id) remotePlayers.placePlayer(player.userId, player)
+          })
+          multiplayer.markSynced()
+        }
+
+        multiplayer.onMatchState = (data) => {
+          if (match) match.applyState(data.state)
+        }
+
+        multiplayer.onMatchEvent = (data) => {
+          if (match) match.handleFlagEvent(data)
         }
 
         multiplayer.onKnockback = (data) => {
-          if (controller) {
-            controller.applyKnockback(data.impulse)
+          // Dead or spawn-protected players ignore hits entirely
+          if (!physics || !health || health.isDead || health.isProtected()) return
+          // A shot only counts while it could still be in the air, plus as far back
+          // as anyone can be rewound (a beam has no flight time at all)
+          const shotAge = multiplayer.serverTime() - data.shotAt
+          if (!multiplayer.authoritative && shotAge > (getWeapon(data.weaponId).lifetimeMs || 0) + MAX_REWIND_MS) return
+
+          controller.applyKnockback(data.impulse)
+          health.applyDamage(Number(data.damage) || 0, data.userId)
+        }
+
+        multiplayer.onHealthUpdate = (data) => {
+          const activeRemotePlayers = gameRef.current?.remotePlayers
+          if (!activeRemotePlayers) return
+
+          const wasDead = activeRemotePlayers.players.get(data.userId)?.isDead
+          activeRemotePlayers.setPlayerHealth(data.userId, data.health, data.isDead)
+
+          if (data.isDead && !wasDead && match) {
+            match.recordKill(data.attackerId, data.userId, activeRemotePlayers.players.get(data.userId)?.mesh.position)
+          }
+
+          if (data.isDead && !wasDead && initialSyncDoneRef.current) {
+            const victim = activeRemotePlayers.players.get(data.userId)?.username || 'Someone'
+            const attacker = data.attackerId === user.id
+              ? 'You'
+              : activeRemotePlayers.players.get(data.attackerId)?.username
+            addNotification(attacker ? `${attacker} knocked out ${victim}` : `${victim} was knocked out`, 'kill')
           }
         }
 
         // Setup hit callback
-        engine.onProjectileHit = (targetUserId, impulse) => {
-          if (gameRef.current?.remotePlayers && gameRef.current?.multiplayer) {
-            const rp = gameRef.current.remotePlayers
-            let targetId = null
-            for (const [uid, p] of rp.players) {
-              if (p.username === targetUserId) {
-                targetId = uid;
-                break;
-              }
-            }
-            if (targetId) {
-              gameRef.current.multiplayer.sendKnockback(targetId, impulse)
-            }
+        engine.onProjectileHit = (targetUserId, impulse, damage, shot) => {
+          if (gameRef.current?.multiplayer) {
+            gameRef.current.multiplayer.sendKnockback(targetUserId, impulse, damage, shot)
           }
         }
 
-        await multiplayer.connect()
-        setIsConnected(true)
+        // Local play keeps running while the connection is down; the manager retries by itself
+        multiplayer.onConnectionStateChange = (state, details) => {
+          setConnection({ state, ...details })
+          if (state === CONNECTION_STATES.RECONNECTING) {
+            resyncPendingRef.current = true
+          }
+        }
+
+        multiplayer.setRoles(await getRoles())
+        if (!isRunning) return
+        await multiplayer.connect(room.id, room)
+        // Left while connecting: cleanup already ran, so undo the connection ourselves
+        if (!isRunning) {
+          multiplayer.disconnect()
+          return
+        }
+
+        // Show up in the lobby room list while we're here
+        lobby = new LobbyManager(user.id, username)
+        lobby.advertise(room)
+        lobby.connect().catch(error => console.warn('Lobby presence unavailable:', error))
 
-        // Request initial state from existing players with retries
+        // Request initial state from the host, retrying until it answers
         const requestStateWithRetry = () => {
-          if (gameRef.current?.multiplayer) {
-            gameRef.current.multiplayer.requestState()
-          }
+          if (!worldStateReceived) multiplayer.requestState()
         }
 
         requestStateWithRetry()
-        setTimeout(requestStateWithRetry, 1000)
-        setTimeout(requestStateWithRetry, 2000)
+        syncTimers.push(setTimeout(requestStateWithRetry, 1000))
+        syncTimers.push(setTimeout(requestStateWithRetry, 2000))
+        // No answer: the host is gone or stuck, queue up for host anyway
+        syncTimers.push(setTimeout(() => multiplayer.markSynced(), 3000))
 
         // Store references
         gameRef.current = {
           engine,
+          tuning,
           physics,
           controller,
           multiplayer,
-          remotePlayers
+          remotePlayers,
+          health,
+          match,
+          flags
         }
 
         // Setup unload handler to send leave signal
@@ -403,26 +765,94 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
 
         // Start game loop
         let frameCount = 0
+        let lastRespawnSeconds = 0
+        let lastWorldSnapshot = 0
+        let tickAccumulator = 0
+
+        // Feet position of any player, for carried flags
+        const getPlayerFeet = (userId) => {
+          if (userId === user.id) {
+            if (!physics) return null
+            const feet = physics.collider.start.clone()
+            feet.y -= physics.collider.radius
+            return feet
+          }
+          return remotePlayers.players.get(userId)?.mesh.position || null
+        }
         function gameLoop() {
           if (!isRunning) return
 
           const rawDeltaTime = engine.getDeltaTime()
           const subStepDelta = rawDeltaTime / STEPS_PER_FRAME
           const remoteColliders = remotePlayers.getRemoteColliders()
+          const rewoundColliders = new Map() // rewindMs -> colliders of everyone, built on demand this frame
+          const collidersAt = (rewindMs) => {
+            if (!rewoundColliders.has(rewindMs)) {
+              rewoundColliders.set(rewindMs, remotePlayers.getRemoteColliders({ rewindMs, all: true }))
+            }
+            return rewoundColliders.get(rewindMs)
+          }
+
+          // Death / respawn timers
+          health.update()
+          if (health.isDead) {
+            const seconds = Math.ceil(health.getState().respawnIn / 1000)
+            if (seconds !== lastRespawnSeconds) {
+              lastRespawnSeconds = seconds
+              setRespawnSeconds(seconds)
+            }
+          }
 
-          // 1. Process Input Once per Frame
-          controller.update(rawDeltaTime)
+          // Match timers (owner) and flags
+          const now = multiplayer.serverTime()
+          match.update(now)
+          if (multiplayer.isHost() && now - lastWorldSnapshot > WORLD_SNAPSHOT_INTERVAL_MS) {
+            lastWorldSnapshot = now
+            multiplayer.broadcastWorldSnapshot({
+              tick: ++worldTick,
+              projectiles: multiplayer.authoritative ? [] : engine.getProjectileSnapshot(),
+              match: match.state
+            })
+          }
+          if (physics && !health.isDead) {
+            const flagAction = match.getFlagAction(user.id, getPlayerFeet(user.id))
+            if (flagAction) {
+              if (match.isOwner) {
+                match.handleFlagEvent({ ...flagAction, userId: user.id })
+              } else {
+                multiplayer.sendMatchEvent(flagAction)
+              }
+            }
+          }
+          flags.update(match.state.flags, getPlayerFeet)
+
+          // 1. Process Input. With an authoritative server the player moves in fixed
+          // ticks, each one sent as an input; otherwise once per frame.
+          const authoritative = multiplayer.authoritative && physics
+          if (authoritative) {
+            tickAccumulator += rawDeltaTime * 1000
+            while (tickAccumulator >= TICK_MS) {
+              tickAccumulator -= TICK_MS
+              multiplayer.sendInput(controller.tick(TICK_MS / 1000, remoteColliders))
+            }
+          }
+          controller.update(rawDeltaTime, { movement: !authoritative })
 
           // 2. Physics substeps for accurate collision
+          // Dead players have no body for projectiles to bounce off
+          const localBody = health.isDead ? null : physics
           for (let i = 0; i < STEPS_PER_FRAME; i++) {
-            physics.update(subStepDelta)
-            physics.resolvePlayerCollisions(remoteColliders)
-            physics.teleportIfOutOfBounds(engine.camera)
-            engine.updateProjectiles(subStepDelta, physics, remoteColliders)
+            if (physics && !authoritative) {
+              physics.update(subStepDelta)
+              physics.resolvePlayerCollisions(remoteColliders)
+              physics.teleportIfOutOfBounds(engine.camera)
+            }
+            engine.updateProjectiles(subStepDelta, localBody, remoteColliders, collidersAt)
           }
 
-          // Update remote players (animation)
-          remotePlayers.update(rawDeltaTime)
+          // Update remote players (animation), in detail only around us. Measured from
+          // our capsule, so a third-person or chase camera doesn't move the area.
+          remotePlayers.update(rawDeltaTime, physics ? physics.getPosition() : engine.camera.position)
 
           // Broadcast own position
           multiplayer.broadcastPosition(controller.getState())
@@ -462,17 +892,63 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current)
       }
+      syncTimers.forEach(clearTimeout)
 
       // Cleanup components
       if (multiplayer) multiplayer.disconnect()
+      if (lobby) lobby.disconnect()
       if (remotePlayers) remotePlayers.dispose()
+      if (flags) flags.dispose()
       if (controller) controller.dispose()
       if (engine) engine.dispose()
 
       // Clear refs
       gameRef.current = null
     }
-  }, [user.id, username]) // Removed profile to prevent re-init on change
+  }, [user.id, username, room, spectator]) // Removed profile to prevent re-init on change
+
+  // Hold Tab for the scoreboard
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === 'Tab') {
+        e.preventDefault()
+        setShowScoreboard(true)
+      } else if (e.code === 'F2') {
+        e.preventDefault()
+        setShowNetGraph(prev => !prev)
+      } else if (e.code === 'F3') {
+        e.preventDefault()
+        setShowTuning(prev => !prev)
+      }
+    }
+    const handleKeyUp = (e) => {
+      if (e.code === 'Tab') setShowScoreboard(false)
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    document.addEventListener('keyup', handleKeyUp)
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown)
+      document.removeEventListener('keyup', handleKeyUp)
+    }
+  }, [])
+
+  // Sample network stats for the net graph and the ping column
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const stats = gameRef.current?.multiplayer?.netStats.snapshot()
+      if (!stats) return
+      // Prediction corrections only happen against an authoritative server
+      const prediction = gameRef.current.multiplayer.authoritative ? gameRef.current.controller?.prediction?.getStats() : null
+      setNetStats({ ...stats, prediction, clock: gameRef.current.multiplayer.getClockStats() })
+    }, 500)
+    return () => clearInterval(interval)
+  }, [])
+
+  // Tick the match timer display
+  useEffect(() => {
+    const interval = setInterval(() => setClockNow(gameRef.current?.multiplayer?.serverTime() ?? Date.now()), 250)
+    return () => clearInterval(interval)
+  }, [])
 
   // Handle profile updates dynamically
   useEffect(() => {
@@ -498,22 +974,13 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
 
     // Update Multiplayer
     if (multiplayer) {
-      multiplayer.profile = profile
       // Update presence
-      if (multiplayer.channel) {
-        multiplayer.channel.track({
-          user_id: user.id,
-          username: username,
-          color: profile.color,
-          model_url: profile.modelUrl,
-          joined_at: new Date().toISOString()
-        }).then(() => {
-          // Force broadcast position to ensure others update the model immediately
-          if (controller) {
-            multiplayer.broadcastPosition(controller.getState(), true)
-          }
-        }).catch(err => console.error('Failed to update presence:', err))
-      }
+      multiplayer.updateProfile(profile).then(() => {
+        // Force broadcast position to ensure others update the model immediately
+        if (controller) {
+          multiplayer.broadcastPosition(controller.getState(), true)
+        }
+      }).catch(err => console.error('Failed to update presence:', err))
     }
   }, [profile, user.id, username])
 
@@ -546,9 +1013,9 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
             {notifications.map(notification => (
               <div
                 key={notification.id}
-                className={`notification-item ${notification.type === 'join' ? 'notification-join' : 'notification-leave'}`}
+                className={`notification-item notification-${notification.type}`}
               >
-                <span className="notification-icon">{notification.type === 'join' ? '👋' : '🚪'}</span>
+                <span className="notification-icon">{NOTIFICATION_ICONS[notification.type] || '🔔'}</span>
                 <span className="notification-text">{notification.message}</span>
               </div>
             ))}
@@ -558,7 +1025,7 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
             <div className="player-list-overlay">
               <div className="player-list-header">
                 <span className="player-list-title">Players</span>
-                <span className={`connection-dot ${isConnected ? 'connected' : ''}`} title={isConnected ? 'Connected' : 'Disconnected'} />
+                <span className={`connection-dot ${connection.state}`} title={CONNECTION_LABELS[connection.state]} />
               </div>
               <div className="player-list-scroll">
                 {playerList.map((player) => (
@@ -570,27 +1037,47 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
                       <span className="player-name-text">{player.username}</span>
                       {player.email && <span className="player-email-text">{player.email}</span>}
                     </div>
-                    {isMaster && player.isOnline && !player.isSelf && (
-                      <button
-                        className="kick-btn-overlay"
-                        onClick={(e) => {
-                          e.stopPropagation()
-                          if (window.confirm(`Are you sure you want to kick ${player.username}?`)) {
-                            handleKickPlayer(player.userId)
-                          }
-                        }}
-                        title="Kick player"
-                      >
-                        🚫
-                      </button>
+                    {player.isOnline && !player.isSelf && (
+                      <PingBadge rtt={netStats?.peers[player.userId]?.rtt} />
                     )}
+                    {player.isOnline && player.isSpectator && (
+                      <span className="player-spectator-badge" title="Spectating">👁</span>
+                    )}
+                    {getRole(roles, player.userId) !== ROLES.PLAYER && (
+                      <span className={`player-role-badge role-${getRole(roles, player.userId)}`}>
+                        {getRole(roles, player.userId)}
+                      </span>
+                    )}
+                    {player.isOnline && !player.isSelf && canModerateUser(myRole, getRole(roles, player.userId)) &&
+                      Object.entries(MODERATION_ACTIONS).map(([action, { label, icon }]) => (
+                        <button
+                          key={action}
+                          className="kick-btn-overlay"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            if (window.confirm(`${label}: ${player.username}?`)) {
+                              handleModerate(player.userId, action)
+                            }
+                          }}
+                          title={label}
+                        >
+                          {icon}
+                        </button>
+                      ))}
                   </div>
                 ))}
               </div>
             </div>
 
             <div className="hud-top">
+              <div className="hud-room" title={room.joinCode ? 'Share this code so friends can join' : undefined}>
+                <span className="hud-room-name">{room.name}</span>
+                {room.joinCode && <span className="hud-room-code">Code: {room.joinCode}</span>}
+              </div>
               <div className="hud-controls">
+                <button onClick={onLeaveRoom} className="secondary-btn">
+                  Leave Room
+                </button>
                 <button onClick={() => setShowCharacterModal(true)} className="secondary-btn">
                   Change Character
                 </button>
@@ -601,41 +1088,152 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
             </div>
 
             <div className="hud-center">
-              <div className="crosshair">+</div>
+              {!spectator && <div className="crosshair">+</div>}
             </div>
 
+            {spectator && (
+              <div className="spectator-banner">
+                {spectatorView.mode === CAMERA_MODES.CHASE
+                  ? `Watching ${onlinePlayers.find(p => p.userId === spectatorView.targetId)?.username || '...'}`
+                  : 'Free camera'}
+              </div>
+            )}
+
+            {connection.state === CONNECTION_STATES.RECONNECTING && (
+              <div className="reconnect-banner">
+                <div className="reconnect-spinner" />
+                <span>Reconnecting… (attempt {connection.attempt})</span>
+              </div>
+            )}
+
+            {matchState && (
+              <div className="hud-match">
+                <span className="match-mode">{GAME_MODES[matchState.mode].name}</span>
+                <span className={`match-phase phase-${matchState.phase}`}>{PHASE_LABELS[matchState.phase]}</span>
+                <span className="match-timer">{formatMatchTime(Math.max(0, matchState.phaseEndsAt - clockNow))}</span>
+                {GAME_MODES[matchState.mode].teams ? (
+                  <span className="match-scores">
+                    <span style={{ color: TEAMS.red.color }}>{matchState.scores.red || 0}</span>
+                    {' : '}
+                    <span style={{ color: TEAMS.blue.color }}>{matchState.scores.blue || 0}</span>
+                  </span>
+                ) : (
+                  <span className="match-scores">{matchState.scores[user.id] || 0} / {GAME_MODES[matchState.mode].scoreLimit}</span>
+                )}
+              </div>
+            )}
+
+            {!spectator && (
+              <div className="hud-health">
+                <div className="health-bar">
+                  <div
+                    className={`health-bar-fill ${playerHealth.health <= playerHealth.maxHealth * 0.25 ? 'low' : ''}`}
+                    style={{ width: `${(playerHealth.health / playerHealth.maxHealth) * 100}%` }}
+                  />
+                </div>
+                <span className="health-text">{playerHealth.health} HP</span>
+                {playerHealth.isProtected && <span className="health-protected" title="Spawn protection">🛡</span>}
+              </div>
+            )}
+
+            {!spectator && !playerHealth.isDead && <WeaponHud gameRef={gameRef} />}
+
+            {matchState && showScoreboard && (
+              <Scoreboard match={matchState} rows={scoreboardRows} selfId={user.id} />
+            )}
+
+            {matchState?.phase === MATCH_PHASES.ROUND_END && !showScoreboard && (
+              <RoundSummary match={matchState} rows={scoreboardRows} selfId={user.id} />
+            )}
+
+            {playerHealth.isDead && (
+              <div className="death-overlay">
+                <h2 className="death-title">You were knocked out</h2>
+                <p className="death-text">Respawning in {respawnSeconds}...</p>
+              </div>
+            )}
+
             <div className="hud-instructions">
-              Click to start • WASD to move • SPACE to jump • ESC to unlock mouse
+              {spectator
+                ? 'Click to start • WASD to fly • SPACE/C up/down • F or click to follow players • TAB for scores • ESC to unlock mouse'
+                : 'Click to start • WASD to move • SHIFT to sprint • C to crouch (slide at a sprint) • SPACE to jump • 1-4 or wheel for weapons • R to reload • TAB for scores • F2 net graph • F3 tuning • ESC to unlock mouse'}
             </div>
 
             <div className="hud-settings">
+              {spectator ? (
+                <div className="setting-item">
+                  <span className="setting-label">Camera:</span>
+                  <button
+                    className={`view-btn ${spectatorView.mode === CAMERA_MODES.CHASE ? 'active' : ''}`}
+                    onClick={handleToggleSpectatorCamera}
+                  >
+                    {spectatorView.mode === CAMERA_MODES.CHASE ? 'Chase' : 'Free'}
+                  </button>
+                </div>
+              ) : (
+                <div className="setting-item">
+                  <span className="setting-label">View:</span>
+                  <button
+                    className={`view-btn ${isThirdPerson ? 'active' : ''}`}
+                    onClick={handleTogglePerspective}
+                  >
+                    {isThirdPerson ? '3rd Person' : '1st Person'}
+                  </button>
+                </div>
+              )}
+              {isHost && matchState && (
+                <div className="setting-item">
+                  <span className="setting-label">Mode:</span>
+                  <select
+                    className="mode-select"
+                    value={matchState.pendingMode || matchState.mode}
+                    onChange={handleModeChange}
+                  >
+                    {Object.values(GAME_MODES).map(mode => (
+                      <option key={mode.id} value={mode.id}>{mode.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="setting-item">
-                <span className="setting-label">View:</span>
+                <span className="setting-label">Net Graph:</span>
                 <button
-                  className={`view-btn ${isThirdPerson ? 'active' : ''}`}
-                  onClick={handleTogglePerspective}
+                  className={`view-btn ${showNetGraph ? 'active' : ''}`}
+                  onClick={() => setShowNetGraph(prev => !prev)}
                 >
-                  {isThirdPerson ? '3rd Person' : '1st Person'}
+                  {showNetGraph ? 'On' : 'Off'}
                 </button>
               </div>
               <div className="setting-item">
-                <span className="setting-label">Ball Color:</span>
-                <input
-                  type="color"
-                  value={ballColor}
-                  onChange={handleBallColorChange}
-                  className="color-picker"
-                />
+                <span className="setting-label">Tuning:</span>
+                <button
+                  className={`view-btn ${showTuning ? 'active' : ''}`}
+                  onClick={() => setShowTuning(prev => !prev)}
+                >
+                  {showTuning ? 'On' : 'Off'}
+                </button>
               </div>
+              {!spectator && (
+                <div className="setting-item">
+                  <span className="setting-label">Ball Color:</span>
+                  <input
+                    type="color"
+                    value={ballColor}
+                    onChange={handleBallColorChange}
+                    className="color-picker"
+                  />
+                </div>
+              )}
             </div>
           </div>
 
+          {showNetGraph && <NetGraph stats={netStats} />}
+          {showTuning && <TuningPanel gameRef={gameRef} roomPreset={room.tuning} />}
+
           <Chat
             messages={messages}
             onSendMessage={handleSendMessage}
             players={onlinePlayers} // Use only online players for chat count? Or full list? Usually online.
-            isMaster={isMaster}
-            onKickPlayer={handleKickPlayer}
           />
 
           {showCharacterModal && (
@@ -657,6 +1255,14 @@ export function Game({ user, profile, onLogout, onChangeCharacter }) {
   )
 }
 
+function PingBadge({ rtt }) {
+  if (rtt === null || rtt === undefined) {
+    return <span className="player-ping">—</span>
+  }
+  const quality = rtt < 80 ? 'good' : rtt < 180 ? 'fair' : 'poor'
+  return <span className={`player-ping ping-${quality}`}>{rtt}ms</span>
+}
+
 // Create a simple placeholder world when map file is missing
 function createPlaceholderWorld(engine) {
   // Ground plane
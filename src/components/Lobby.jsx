@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react'
+import { MAPS } from '../game/constants'
+import { GAME_MODES, DEFAULT_MODE } from '../game/match'
+import { TUNING_PRESETS, DEFAULT_TUNING } from '../game/tuning'
+import { LobbyManager, DEFAULT_ROOM, createRoomSettings, normalizeRoomSettings, peekRoom, roomIdFromCode } from '../game/lobby'
+import './Lobby.css'
+
+export function Lobby({ user, username, initialRoomId, onJoinRoom, onChangeCharacter }) {
+  const [rooms, setRooms] = useState([{ ...DEFAULT_ROOM, playerCount: 0 }])
+  const [isConnected, setIsConnected] = useState(false)
+  const [resolvingRoomId, setResolvingRoomId] = useState(initialRoomId || null)
+  const [error, setError] = useState('')
+
+  const [roomName, setRoomName] = useState(`${username}'s room`)
+  const [mapId, setMapId] = useState(MAPS[0].id)
+  const [modeId, setModeId] = useState(DEFAULT_MODE)
+  const [tuningId, setTuningId] = useState(DEFAULT_TUNING)
+  const [isPrivate, setIsPrivate] = useState(false)
+  const [joinCode, setJoinCode] = useState('')
+
+  // Live room list from lobby presence
+  useEffect(() => {
+    const lobby = new LobbyManager(user.id, username)
+    lobby.onRoomsChange = setRooms
+
+    lobby.connect()
+      .then(() => setIsConnected(true))
+      .catch(err => console.warn('Lobby presence unavailable:', err))
+
+    return () => {
+      lobby.disconnect()
+    }
+  }, [user.id, username])
+
+  // Deep link (?room=...): pick up the settings of whoever is already inside,
+  // otherwise open the room with default settings
+  useEffect(() => {
+    if (!initialRoomId) return
+    let cancelled = false
+
+    peekRoom(initialRoomId).then(settings => {
+      if (cancelled) return
+      onJoinRoom(settings || normalizeRoomSettings(initialRoomId))
+    })
+
+    return () => { cancelled = true }
+  }, [initialRoomId, onJoinRoom])
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    onJoinRoom(createRoomSettings({ name: roomName, map: mapId, mode: modeId, tuning: tuningId, isPrivate }))
+  }
+
+  const handleJoinCode = async (e) => {
+    e.preventDefault()
+    if (!joinCode.trim()) return
+
+    const roomId = roomIdFromCode(joinCode)
+    setError('')
+    setResolvingRoomId(roomId)
+
+    const settings = await peekRoom(roomId)
+    setResolvingRoomId(null)
+    if (!settings) {
+      setError('No open room with that code')
+      return
+    }
+    onJoinRoom(settings)
+  }
+
+  if (resolvingRoomId) {
+    return (
+      <div className="app-loading">
+        <div className="loading-spinner" />
+        <p>Finding room...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="lobby-container">
+      <div className="lobby-card">
+        <div className="lobby-header">
+          <div>
+            <h1 className="lobby-title">Lobby</h1>
+            <p className="lobby-subtitle">Pick a room or start your own</p>
+          </div>
+          <button className="lobby-secondary-btn" onClick={() => onChangeCharacter()}>
+            Change Character
+          </button>
+        </div>
+
+        <div className="lobby-columns">
+          <div className="lobby-section">
+            <div className="lobby-section-header">
+              <h3>Rooms</h3>
+              <span className={`lobby-status-dot ${isConnected ? 'connected' : ''}`} title={isConnected ? 'Connected' : 'Connecting...'} />
+            </div>
+            <div className="lobby-room-list">
+              {rooms.map(room => (
+                <div key={room.id} className="lobby-room-item">
+                  <div className="lobby-room-info">
+                    <span className="lobby-room-name">{room.name}</span>
+                    <span className="lobby-room-meta">
+                      {MAPS.find(m => m.id === room.map)?.name} • {GAME_MODES[room.mode].name}
+                      {room.tuning !== DEFAULT_TUNING && ` • ${TUNING_PRESETS[room.tuning].name}`}
+                    </span>
+                  </div>
+                  <span className="lobby-room-count">{room.playerCount} online</span>
+                  <button className="lobby-watch-btn" onClick={() => onJoinRoom(room, { spectate: true })} title="Join as a spectator">
+                    Watch
+                  </button>
+                  <button className="lobby-join-btn" onClick={() => onJoinRoom(room)}>
+                    Join
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="lobby-section">
+            <form className="lobby-form" onSubmit={handleCreate}>
+              <div className="lobby-section-header">
+                <h3>Create Room</h3>
+              </div>
+              <label>
+                Name
+                <input value={roomName} maxLength={32} onChange={(e) => setRoomName(e.target.value)} />
+              </label>
+              <label>
+                Map
+                <select value={mapId} onChange={(e) => setMapId(e.target.value)}>
+                  {MAPS.map(map => (
+                    <option key={map.id} value={map.id}>{map.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Mode
+                <select value={modeId} onChange={(e) => setModeId(e.target.value)}>
+                  {Object.values(GAME_MODES).map(mode => (
+                    <option key={mode.id} value={mode.id}>{mode.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Physics
+                <select value={tuningId} onChange={(e) => setTuningId(e.target.value)}>
+                  {Object.values(TUNING_PRESETS).map(preset => (
+                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="lobby-checkbox">
+                <input type="checkbox" checked={isPrivate} onChange={(e) => setIsPrivate(e.target.checked)} />
+                Private (join by code only)
+              </label>
+              <button type="submit" className="lobby-primary-btn">Create</button>
+            </form>
+
+            <form className="lobby-form" onSubmit={handleJoinCode}>
+              <div className="lobby-section-header">
+                <h3>Join Private Room</h3>
+              </div>
+              <div className="lobby-code-row">
+                <input
+                  value={joinCode}
+                  maxLength={6}
+                  placeholder="CODE"
+                  onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+                />
+                <button type="submit" className="lobby-primary-btn">Join</button>
+              </div>
+              {error && <p className="lobby-error">{error}</p>}
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
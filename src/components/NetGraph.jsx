@@ -0,0 +1,118 @@
+import { useEffect, useRef } from 'react'
+import './NetGraph.css'
+
+const GRAPH_WIDTH = 240
+const GRAPH_HEIGHT = 60
+
+function formatBytes(bytesPerSec) {
+  return bytesPerSec >= 1024 ? `${(bytesPerSec / 1024).toFixed(1)} KB/s` : `${Math.round(bytesPerSec)} B/s`
+}
+
+function formatCm(metres) {
+  return `${Math.round(metres * 100)} cm`
+}
+
+function formatMs(ms) {
+  return ms === null || ms === undefined ? '—' : `${Math.round(ms)} ms`
+}
+
+// Offset from the room clock and how sure we are of it
+function formatClock(clock) {
+  if (clock.uncertainty === 0) return 'Clock reference'
+  if (clock.uncertainty === null) return 'Clock syncing…'
+  return `Clock ${clock.offset >= 0 ? '+' : ''}${clock.offset} ms ± ${clock.uncertainty} ms`
+}
+
+// Draw RTT as a line over in/out bandwidth bars, each scaled to its own maximum
+function drawHistory(canvas, history) {
+  const ctx = canvas.getContext('2d')
+  ctx.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT)
+  if (history.length === 0) return
+
+  const step = GRAPH_WIDTH / Math.max(history.length, 1)
+  const maxBytes = Math.max(1, ...history.map(h => Math.max(h.inBytesPerSec, h.outBytesPerSec)))
+  const maxRtt = Math.max(50, ...history.map(h => h.rtt || 0))
+
+  history.forEach((h, i) => {
+    const x = i * step
+    const inHeight = (h.inBytesPerSec / maxBytes) * GRAPH_HEIGHT
+    const outHeight = (h.outBytesPerSec / maxBytes) * GRAPH_HEIGHT
+    ctx.fillStyle = 'rgba(96, 165, 250, 0.5)'
+    ctx.fillRect(x, GRAPH_HEIGHT - inHeight, step / 2, inHeight)
+    ctx.fillStyle = 'rgba(74, 222, 128, 0.5)'
+    ctx.fillRect(x + step / 2, GRAPH_HEIGHT - outHeight, step / 2, outHeight)
+
+    // Red tick for windows with player-move loss
+    if (h.loss > 0) {
+      ctx.fillStyle = '#ef4444'
+      ctx.fillRect(x, 0, step, 3)
+    }
+  })
+
+  ctx.strokeStyle = '#fbbf24'
+  ctx.lineWidth = 1.5
+  ctx.beginPath()
+  history.forEach((h, i) => {
+    if (h.rtt === null) return
+    const x = i * step + step / 2
+    const y = GRAPH_HEIGHT - (h.rtt / maxRtt) * GRAPH_HEIGHT
+    if (i === 0) ctx.moveTo(x, y)
+    else ctx.lineTo(x, y)
+  })
+  ctx.stroke()
+}
+
+// Toggleable network diagnostics overlay (F2)
+export function NetGraph({ stats }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    if (canvasRef.current && stats) drawHistory(canvasRef.current, stats.history)
+  }, [stats])
+
+  if (!stats) return null
+
+  const events = Object.entries(stats.byEvent)
+    .sort(([, a], [, b]) => b.bytes - a.bytes)
+    .slice(0, 5)
+
+  return (
+    <div className="net-graph">
+      <canvas ref={canvasRef} width={GRAPH_WIDTH} height={GRAPH_HEIGHT} className="net-graph-canvas" />
+      <div className="net-graph-legend">
+        <span className="legend-rtt">RTT</span>
+        <span className="legend-in">In</span>
+        <span className="legend-out">Out</span>
+      </div>
+      <div className="net-graph-row">
+        <span>Ping {formatMs(stats.rtt)}</span>
+        <span>Jitter {formatMs(stats.jitter)}</span>
+        <span>Loss {(stats.loss * 100).toFixed(1)}%</span>
+      </div>
+      <div className="net-graph-row">
+        <span>In {stats.inPerSec.toFixed(0)}/s • {formatBytes(stats.inBytesPerSec)}</span>
+        <span>Out {stats.outPerSec.toFixed(0)}/s • {formatBytes(stats.outBytesPerSec)}</span>
+      </div>
+      {stats.clock && (
+        <div className="net-graph-row">
+          <span>{formatClock(stats.clock)}</span>
+          <span>{stats.clock.reference === 'server' ? 'Relay time' : 'Host time'}</span>
+        </div>
+      )}
+      {stats.prediction && (
+        <div className="net-graph-row">
+          <span>Correction {formatCm(stats.prediction.correction)} (max {formatCm(stats.prediction.maxCorrection)})</span>
+          <span>Smoothing {formatCm(stats.prediction.smoothing)} • {stats.prediction.pending} pending</span>
+        </div>
+      )}
+      <div className="net-graph-events">
+        {events.map(([event, counts]) => (
+          <div key={event} className="net-graph-event">
+            <span>{event}</span>
+            <span>{counts.in}↓ {counts.out}↑ • {counts.bytes} B</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
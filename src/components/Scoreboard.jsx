@@ -0,0 +1,87 @@
+import { GAME_MODES, TEAMS } from '../game/match'
+import './Scoreboard.css'
+
+function ScoreRows({ rows, selfId, showCaptures }) {
+  return (
+    <table className="scoreboard-table">
+      <thead>
+        <tr>
+          <th className="scoreboard-name-col">Player</th>
+          <th>Score</th>
+          <th>Kills</th>
+          <th>Deaths</th>
+          {showCaptures && <th>Captures</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.userId} className={row.userId === selfId ? 'self' : ''}>
+            <td className="scoreboard-name-col">
+              {row.team && <span className="scoreboard-team-dot" style={{ background: TEAMS[row.team].color }} />}
+              {row.username}
+            </td>
+            <td>{row.score}</td>
+            <td>{row.kills}</td>
+            <td>{row.deaths}</td>
+            {showCaptures && <td>{row.captures}</td>}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+// Full scoreboard, shown while Tab is held
+export function Scoreboard({ match, rows, selfId }) {
+  const mode = GAME_MODES[match.mode]
+
+  return (
+    <div className="scoreboard-overlay">
+      <div className="scoreboard-panel">
+        <div className="scoreboard-header">
+          <span className="scoreboard-title">{mode.name}</span>
+          <span className="scoreboard-subtitle">Round {match.round} • First to {mode.scoreLimit}</span>
+        </div>
+
+        {mode.teams ? (
+          <div className="scoreboard-teams">
+            {Object.values(TEAMS).map(team => (
+              <div key={team.id} className="scoreboard-team">
+                <div className="scoreboard-team-header" style={{ borderColor: team.color }}>
+                  <span style={{ color: team.color }}>{team.name}</span>
+                  <span className="scoreboard-team-score">{match.scores[team.id] || 0}</span>
+                </div>
+                <ScoreRows rows={rows.filter(r => r.team === team.id)} selfId={selfId} showCaptures={mode.flags} />
+              </div>
+            ))}
+          </div>
+        ) : (
+          <ScoreRows rows={rows} selfId={selfId} showCaptures={false} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Shown during the round_end phase
+export function RoundSummary({ match, rows, selfId }) {
+  const mode = GAME_MODES[match.mode]
+
+  let winnerText = 'Draw'
+  if (match.winner && mode.teams) {
+    winnerText = `${TEAMS[match.winner]?.name || match.winner} team wins!`
+  } else if (match.winner) {
+    const winner = rows.find(r => r.userId === match.winner)
+    winnerText = match.winner === selfId ? 'You win!' : `${winner?.username || 'Unknown'} wins!`
+  }
+
+  return (
+    <div className="round-summary-overlay">
+      <div className="scoreboard-panel">
+        <div className="round-summary-title">Round {match.round} over</div>
+        <div className="round-summary-winner">{winnerText}</div>
+        <ScoreRows rows={rows.slice(0, 5)} selfId={selfId} showCaptures={mode.flags} />
+      </div>
+    </div>
+  )
+}
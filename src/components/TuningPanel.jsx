@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react'
+import { TUNING_FIELDS, TUNING_PRESETS, applyTuningPreset, setTuningValue } from '../game/tuning'
+import './TuningPanel.css'
+
+// Live movement/physics tuning (F3). Edits the game's shared tuning object in
+// place, so the next physics step already uses them. Only this client changes:
+// other players, and an authoritative relay, keep the room's preset.
+export function TuningPanel({ gameRef, roomPreset }) {
+  const [values, setValues] = useState(null)
+  const [preset, setPreset] = useState(roomPreset)
+
+  // Follows the object like WeaponHud follows the controller, so the panel shows
+  // whatever the physics is actually using
+  useEffect(() => {
+    let frame = null
+    let lastKey = ''
+
+    const poll = () => {
+      const tuning = gameRef.current?.tuning
+      if (tuning) {
+        const key = JSON.stringify(tuning)
+        if (key !== lastKey) {
+          lastKey = key
+          setValues({ ...tuning })
+        }
+      }
+      frame = requestAnimationFrame(poll)
+    }
+
+    frame = requestAnimationFrame(poll)
+    return () => cancelAnimationFrame(frame)
+  }, [gameRef])
+
+  const handleChange = (key, value) => {
+    const tuning = gameRef.current?.tuning
+    if (tuning && value !== '') setTuningValue(tuning, key, Number(value))
+  }
+
+  const handlePreset = (presetId) => {
+    const tuning = gameRef.current?.tuning
+    if (!tuning) return
+    applyTuningPreset(tuning, presetId)
+    setPreset(presetId)
+  }
+
+  if (!values) return null
+
+  return (
+    // Keep typed values away from the game controls
+    <div className="tuning-panel" onKeyDown={(e) => e.stopPropagation()}>
+      <div className="tuning-panel-header">
+        <select value={preset} onChange={(e) => handlePreset(e.target.value)}>
+          {Object.values(TUNING_PRESETS).map(p => (
+            <option key={p.id} value={p.id}>{p.name}{p.id === roomPreset ? ' (room)' : ''}</option>
+          ))}
+        </select>
+        <button onClick={() => handlePreset(roomPreset)}>Reset</button>
+      </div>
+      <p className="tuning-panel-note">Local only: other players keep the room&apos;s values</p>
+      {TUNING_FIELDS.map(field => (
+        <label key={field.key} className="tuning-panel-row">
+          <span>{field.label}</span>
+          <input
+            type="range"
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            value={values[field.key]}
+            onChange={(e) => handleChange(field.key, e.target.value)}
+          />
+          <input
+            type="number"
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            value={values[field.key]}
+            onChange={(e) => handleChange(field.key, e.target.value)}
+          />
+        </label>
+      ))}
+    </div>
+  )
+}
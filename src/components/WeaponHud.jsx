@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react'
+import { WEAPONS, WEAPON_IDS } from '../game/weapons'
+import './WeaponHud.css'
+
+const RING_RADIUS = 16
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS
+
+// Weapon slots, ammo, the reload ring / charge meter around the crosshair and the
+// stamina bar. Reads PlayerController.getWeaponState() and the physics' stamina
+// every frame and only re-renders when something visible changed.
+export function WeaponHud({ gameRef }) {
+  const [weapon, setWeapon] = useState(null)
+
+  useEffect(() => {
+    let frame = null
+    let lastKey = ''
+
+    const poll = () => {
+      const controller = gameRef.current?.controller
+      const state = controller?.getWeaponState()
+      if (state) {
+        const rounded = {
+          ...state,
+          reloadProgress: state.reloadProgress === null ? null : Math.round(state.reloadProgress * 100) / 100,
+          charge: state.charge === null ? null : Math.round(state.charge * 100) / 100,
+          stamina: Math.round((controller.physics?.stamina ?? 1) * 100) / 100,
+          exhausted: !!controller.physics?.exhausted
+        }
+        const key = JSON.stringify(rounded)
+        if (key !== lastKey) {
+          lastKey = key
+          setWeapon(rounded)
+        }
+      }
+      frame = requestAnimationFrame(poll)
+    }
+
+    frame = requestAnimationFrame(poll)
+    return () => cancelAnimationFrame(frame)
+  }, [gameRef])
+
+  if (!weapon) return null
+
+  const isEmpty = weapon.magazine === 0 && weapon.reserve === 0
+
+  return (
+    <>
+      <div className="weapon-reticle">
+        {weapon.reloadProgress !== null && (
+          <svg className="reload-ring" viewBox="0 0 40 40">
+            <circle className="reload-ring-track" cx="20" cy="20" r={RING_RADIUS} />
+            <circle
+              className="reload-ring-fill"
+              cx="20"
+              cy="20"
+              r={RING_RADIUS}
+              strokeDasharray={RING_CIRCUMFERENCE}
+              strokeDashoffset={RING_CIRCUMFERENCE * (1 - weapon.reloadProgress)}
+            />
+          </svg>
+        )}
+        {weapon.charge !== null && (
+          <div className="charge-meter">
+            <div className="charge-meter-fill" style={{ width: `${weapon.charge * 100}%` }} />
+          </div>
+        )}
+      </div>
+
+      {weapon.stamina < 1 && (
+        <div className={`stamina-bar ${weapon.exhausted ? 'exhausted' : ''}`}>
+          <div className="stamina-bar-fill" style={{ width: `${weapon.stamina * 100}%` }} />
+        </div>
+      )}
+
+      <div className="hud-weapons">
+        {WEAPON_IDS.map((id, index) => (
+          <div key={id} className={`hud-weapon ${id === weapon.weaponId ? 'active' : ''}`}>
+            <span className="hud-weapon-key">{index + 1}</span>
+            <span>{WEAPONS[id].name}</span>
+          </div>
+        ))}
+        <div className={`hud-ammo ${isEmpty ? 'empty' : ''}`}>
+          {weapon.reloadProgress !== null
+            ? 'Reloading…'
+            : <><span className="hud-ammo-magazine">{weapon.magazine}</span> / {weapon.reserve}</>}
+        </div>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,54 @@
+// NTP-style estimate of the room clock. Every ping we send is answered with a
+// pong; the reference (the relay when it simulates the room, otherwise the host)
+// puts its own clock in its pong. Assuming the reply took half the round trip,
+//
+//   offset = referenceTime - (localTimeAtReceive - rtt / 2)
+//
+// and the error is at most rtt / 2. Queueing only ever adds delay, so of the
+// last few samples the one with the shortest round trip is the one we trust.
+
+const SAMPLE_COUNT = 8
+
+export class ClockSync {
+  constructor() {
+    this.samples = [] // [{ offset, rtt }], newest last
+    this.offset = 0 // Add to Date.now() for the room clock
+    this.uncertainty = null // ms either way; null until the first sample
+  }
+
+  // rtt from performance.now(), referenceTime from the reference's clock, receivedAt local Date.now()
+  addSample(rtt, referenceTime, receivedAt = Date.now()) {
+    if (!Number.isFinite(rtt) || rtt < 0 || !Number.isFinite(referenceTime)) return
+
+    this.samples.push({ offset: referenceTime - (receivedAt - rtt / 2), rtt })
+    if (this.samples.length > SAMPLE_COUNT) this.samples.shift()
+
+    const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a))
+    this.offset = best.offset
+    this.uncertainty = best.rtt / 2
+  }
+
+  // We are the reference now. The offset stays as it is so the room clock
+  // carries on without a jump when the host changes.
+  becomeReference() {
+    this.samples = []
+    this.uncertainty = 0
+  }
+
+  // A new reference: its samples start over, the last offset is kept until then
+  reset() {
+    this.samples = []
+    this.uncertainty = null
+  }
+
+  now() {
+    return Date.now() + this.offset
+  }
+
+  getStats() {
+    return {
+      offset: Math.round(this.offset),
+      uncertainty: this.uncertainty === null ? null : Math.round(this.uncertainty)
+    }
+  }
+}
@@ -22,3 +22,31 @@ export const MODELS = [
 ]
 
 export const STORAGE_URL = 'https://hgczujipznppjguxzkor.supabase.co/storage/v1/object/public/models/'
+
+// Maps selectable when creating a room. Maps without a file use the flat placeholder world.
+// flagBases are x/z positions for capture the flag (height is found on the map).
+// spawns (x/z, optional team) are used when the map file has no spawn_* empties (src/game/spawns.js).
+export const MAPS = [
+  {
+    id: 'collision-world',
+    name: 'Collision World',
+    file: '/models/gltf/collision-world.glb',
+    flagBases: { red: { x: -11, z: 3 }, blue: { x: 15, z: 3 } },
+    spawns: [
+      { x: -8, z: 8, team: 'red' }, { x: -8, z: -6, team: 'red' }, { x: -11, z: -3, team: 'red' },
+      { x: 12, z: 8, team: 'blue' }, { x: 12, z: -6, team: 'blue' }, { x: 15, z: -3, team: 'blue' },
+      { x: 0, z: 8 }, { x: 0, z: -8 }, { x: 5, z: 0 }, { x: -5, z: 0 }
+    ]
+  },
+  {
+    id: 'sandbox',
+    name: 'Sandbox',
+    file: null,
+    flagBases: { red: { x: -20, z: 0 }, blue: { x: 20, z: 0 } },
+    spawns: [
+      { x: -18, z: 6, team: 'red' }, { x: -18, z: -6, team: 'red' }, { x: -15, z: 0, team: 'red' },
+      { x: 18, z: 6, team: 'blue' }, { x: 18, z: -6, team: 'blue' }, { x: 15, z: 0, team: 'blue' },
+      { x: 0, z: -8 }, { x: 0, z: 6 }
+    ]
+  }
+]
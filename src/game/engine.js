@@ -1,13 +1,43 @@
 import * as THREE from 'three'
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import { Octree } from 'three/addons/math/Octree.js'
+import {
+  MAX_PROJECTILES,
+  findEvictable,
+  stepProjectile,
+  isProjectileExpired,
+  collideProjectileWithCapsule,
+  collideExplosionWithCapsule,
+  traceHitscan,
+  collideProjectiles
+} from './projectiles'
+import { getWeapon } from './weapons'
+import { createTuning } from './tuning'
+
+// Reconciling against the host's world snapshots
+const SNAPSHOT_SNAP_DISTANCE = 2 // Further off than this, jump straight to the host's position
+const SNAPSHOT_BLEND = 0.3 // Otherwise close this fraction of the gap per snapshot
+const SNAPSHOT_GRACE_MS = 1000 // Fresh local projectiles the host may not have heard about yet
+
+const BEAM_DURATION_MS = 250
+const EXPLOSION_DURATION_MS = 400
+
+// What onProjectileHit is told about the shot behind a hit
+function getShot(sphere) {
+  return { weaponId: sphere.weaponId, firedAt: sphere.firedAt }
+}
 
 export class GameEngine {
-  constructor(container) {
+  // options.tuning: shared movement/physics values (tuning.js), for projectiles
+  constructor(container, { tuning = createTuning() } = {}) {
     this.container = container
+    this.tuning = tuning
     this.clock = new THREE.Clock()
     this.worldOctree = new Octree()
     this.projectiles = []
+    this.effects = [] // Rail beams and explosions: { object, createdAt, duration, update(progress) }
+    this.projectileIdPrefix = Math.random().toString(36).slice(2, 8) // Unique per client
+    this.projectileCount = 0
     this.isMapLoaded = false
 
     this.init()
@@ -109,34 +139,20 @@ export class GameEngine {
   }
 
   render() {
+    this.updateEffects()
     this.renderer.render(this.scene, this.camera)
   }
 
-  updateProjectiles(deltaTime, playerPhysics, remoteColliders = []) {
-    const GRAVITY = 30
+  // collidersAt(rewindMs): every remote capsule as drawn rewindMs ago, for our own
+  // shots and for projectiles aimed at a past view of the other players (see
+  // createProjectile's rewindMs); remoteColliders for everything else
+  updateProjectiles(deltaTime, playerPhysics, remoteColliders = [], collidersAt = null) {
+    const now = performance.now()
 
-    // 1. Update positions and World Collisions
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
       const sphere = this.projectiles[i]
 
-      // Move
-      sphere.collider.center.addScaledVector(sphere.velocity, deltaTime)
-
-      // World Collision
-      const result = this.worldOctree.sphereIntersect(sphere.collider)
-
-      if (result) {
-        // Bounce
-        sphere.velocity.addScaledVector(result.normal, -result.normal.dot(sphere.velocity) * 1.5)
-        sphere.collider.center.add(result.normal.multiplyScalar(result.depth))
-      } else {
-        // Gravity
-        sphere.velocity.y -= GRAVITY * deltaTime
-      }
-
-      // Air resistance
-      const damping = Math.exp(-1.5 * deltaTime) - 1
-      sphere.velocity.addScaledVector(sphere.velocity, damping)
+      stepProjectile(sphere, deltaTime, this.worldOctree, this.tuning)
 
       // Local Player Collision
       if (playerPhysics) {
@@ -144,20 +160,17 @@ export class GameEngine {
       }
 
       // Remote Players Collision
-      if (remoteColliders.length > 0) {
-        this.resolveRemoteCollisions(sphere, remoteColliders)
+      const colliders = (sphere.rewindMs > 0 || sphere.owner === 'local') && collidersAt
+        ? collidersAt(sphere.rewindMs)
+        : remoteColliders
+      if (colliders.length > 0) {
+        this.resolveRemoteCollisions(sphere, colliders)
       }
 
-      // Remove if out of bounds OR lifetime expired
-      const now = performance.now()
-      const age = now - sphere.spawnTime
-      const isExpired = sphere.spawnTime && (age > sphere.lifetime)
-
-      if (sphere.collider.center.y < -50 || isExpired) {
-        this.scene.remove(sphere)
-        sphere.geometry.dispose()
-        sphere.material.dispose()
-        this.projectiles.splice(i, 1)
+      // Remove if out of bounds OR lifetime expired (a grenade's fuse runs out)
+      if (isProjectileExpired(sphere, now)) {
+        if (getWeapon(sphere.weaponId).explosion) this.explode(sphere, playerPhysics, colliders)
+        this.removeProjectile(i)
         continue
       }
 
@@ -165,91 +178,121 @@ export class GameEngine {
       sphere.position.copy(sphere.collider.center)
     }
 
-    // 2. Sphere-Sphere Collisions
-    this.resolveSpheresCollisions()
+    collideProjectiles(this.projectiles)
   }
 
   resolveRemoteCollisions(sphere, remoteColliders) {
-    const vector1 = new THREE.Vector3()
-    const vector2 = new THREE.Vector3() // For velocity calculation if needed, but remote players are kinematic here
-    const sphereCenter = sphere.collider.center
-
     for (const remote of remoteColliders) {
       // Skip invalid colliders
       if (!remote.start || !remote.end) continue
 
-      // Use Line3 to find closest point on capsule segment to sphere center
-      const line = new THREE.Line3(remote.start, remote.end)
-      const closestPoint = new THREE.Vector3()
-      line.closestPointToPoint(sphereCenter, true, closestPoint)
-
-      const r = remote.radius + sphere.collider.radius
-      const r2 = r * r
-      const d2 = closestPoint.distanceToSquared(sphereCenter)
-
-      if (d2 < r2) {
-        // Collision detected!
-        // Normal from Player -> Sphere (to push sphere away)
-        const normal = vector1.subVectors(sphereCenter, closestPoint).normalize()
-
-        // If sphere is exactly inside line (rare), push up
-        if (normal.lengthSq() === 0) {
-          normal.set(0, 1, 0)
-        }
-
-        // Bounce sphere off player
-        // Remote players are immovable objects (kinematic) from local perspective
-        // v' = v - 2 * (v . n) * n  (Reflection)
-        // But let's add some elasticity/damping like walls
-
-        const vDotN = sphere.velocity.dot(normal)
-        sphere.velocity.addScaledVector(normal, -vDotN * 1.5) // 1.5 bounce factor
+      // Remote players are immovable objects (kinematic) from local perspective
+      const hit = collideProjectileWithCapsule(sphere, remote.start, remote.end, remote.radius)
+      if (!hit || !hit.approaching) continue
 
-        // Push sphere out
-        const d = Math.sqrt(d2)
-        const overlap = r - d
-        sphereCenter.addScaledVector(normal, overlap)
-
-        // Track hit for visual feedback (no knockback)
+      // Report the hit once per projectile/target pair. Only the shooter reports,
+      // otherwise every client simulating this projectile would send a knockback.
+      if (sphere.owner === 'local' && !sphere.hitSet.has(remote.id)) {
         sphere.hitSet.add(remote.id)
+        if (this.onProjectileHit) this.onProjectileHit(remote.id, hit.impulse, hit.damage, getShot(sphere))
       }
     }
   }
 
-  resolveSpheresCollisions() {
-    const vector1 = new THREE.Vector3()
-    const vector2 = new THREE.Vector3()
-    const vector3 = new THREE.Vector3()
+  // Everyone sees the blast; only the thrower reports who it pushed (like direct
+  // hits) and takes the push itself, without damage
+  explode(sphere, playerPhysics, remoteColliders) {
+    const { explosion } = getWeapon(sphere.weaponId)
+    this.addExplosionEffect(sphere.collider.center, explosion.radius, sphere.color)
+    if (sphere.owner !== 'local') return
 
-    for (let i = 0, length = this.projectiles.length; i < length; i++) {
-      const s1 = this.projectiles[i]
+    for (const remote of remoteColliders) {
+      const hit = collideExplosionWithCapsule(sphere, remote.start, remote.end, remote.radius)
+      if (hit && this.onProjectileHit) this.onProjectileHit(remote.id, hit.impulse, hit.damage, getShot(sphere))
+    }
 
-      for (let j = i + 1; j < length; j++) {
-        const s2 = this.projectiles[j]
+    if (playerPhysics) {
+      const { start, end, radius } = playerPhysics.collider
+      const hit = collideExplosionWithCapsule(sphere, start, end, radius)
+      if (hit) playerPhysics.applyImpulse(hit.impulse)
+    }
+  }
 
-        const d2 = s1.collider.center.distanceToSquared(s2.collider.center)
-        const r = s1.collider.radius + s2.collider.radius
-        const r2 = r * r
+  // Hitscan shot from origin along direction (normalized). The ray stops at the
+  // world or the first remote capsule; only our own shots (options.local) report
+  // the hit. Returns traceHitscan's result.
+  fireHitscan(origin, direction, weaponId, { color = null, local = false, remoteColliders = [], firedAt = null } = {}) {
+    const weapon = getWeapon(weaponId)
+    const result = traceHitscan(origin, direction, weapon, this.worldOctree, remoteColliders)
 
-        if (d2 < r2) {
-          const normal = vector1.subVectors(s1.collider.center, s2.collider.center).normalize()
-          const v1 = vector2.copy(normal).multiplyScalar(normal.dot(s1.velocity))
-          const v2 = vector3.copy(normal).multiplyScalar(normal.dot(s2.velocity))
+    this.addBeamEffect(origin, result.end, color)
+    if (local && result.targetId && this.onProjectileHit) {
+      this.onProjectileHit(result.targetId, result.impulse, result.damage, { weaponId: weapon.id, firedAt })
+    }
+    return result
+  }
 
-          s1.velocity.add(v2).sub(v1)
-          s2.velocity.add(v1).sub(v2)
+  addBeamEffect(start, end, color) {
+    const geometry = new THREE.BufferGeometry().setFromPoints([start, end])
+    const material = new THREE.LineBasicMaterial({ color: color || 0xffffff, transparent: true })
+    const line = new THREE.Line(geometry, material)
+    this.addEffect(line, BEAM_DURATION_MS, (progress) => {
+      material.opacity = 1 - progress
+    })
+  }
 
-          const d = (r - Math.sqrt(d2)) / 2
+  addExplosionEffect(center, radius, color) {
+    const geometry = new THREE.SphereGeometry(1, 16, 12)
+    const material = new THREE.MeshBasicMaterial({ color: color || 0xffaa33, transparent: true, depthWrite: false })
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.position.copy(center)
+    this.addEffect(mesh, EXPLOSION_DURATION_MS, (progress) => {
+      mesh.scale.setScalar(Math.max(0.01, radius * progress))
+      material.opacity = 0.6 * (1 - progress)
+    })
+  }
 
-          s1.collider.center.addScaledVector(normal, d)
-          s2.collider.center.addScaledVector(normal, -d)
-        }
+  addEffect(object, duration, update) {
+    update(0)
+    this.scene.add(object)
+    this.effects.push({ object, createdAt: performance.now(), duration, update })
+  }
+
+  updateEffects(now = performance.now()) {
+    for (let i = this.effects.length - 1; i >= 0; i--) {
+      const effect = this.effects[i]
+      const progress = (now - effect.createdAt) / effect.duration
+      if (progress >= 1) {
+        this.scene.remove(effect.object)
+        effect.object.geometry.dispose()
+        effect.object.material.dispose()
+        this.effects.splice(i, 1)
+      } else {
+        effect.update(progress)
       }
     }
   }
 
-  createProjectile(position, velocity, color) {
-    const radius = 0.2
+  nextProjectileId() {
+    return `${this.projectileIdPrefix}-${++this.projectileCount}`
+  }
+
+  // options.id: shared id from the spawner (generated for local shots)
+  // options.ownerId: userId of the shooter
+  // options.weaponId: see weapons.js; sets size, gravity, lifetime and what a hit does
+  // options.age: ms already elapsed, for projectiles picked up from a snapshot
+  // options.rewindMs: how far in the past the shooter saw the other players; they
+  // are checked where they were that long ago (getShotRewindMs for our own shots)
+  // options.firedAt: room-clock time of the shot, sent with the hits it reports
+  createProjectile(position, velocity, color, { id = null, ownerId = null, weaponId = null, age = 0, rewindMs = 0, firedAt = null } = {}) {
+    // Already known (e.g. a snapshot beat the spawn broadcast)
+    if (id) {
+      const existing = this.projectiles.find(p => p.projectileId === id)
+      if (existing) return existing
+    }
+
+    const weapon = getWeapon(weaponId)
+    const radius = weapon.radius
     const geometry = new THREE.IcosahedronGeometry(radius, 5)
     const material = new THREE.MeshLambertMaterial({ color: color || 0xffff00 })
     const sphere = new THREE.Mesh(geometry, material)
@@ -261,10 +304,16 @@ export class GameEngine {
     sphere.collider = new THREE.Sphere(position.clone(), radius)
     sphere.velocity = velocity.clone()
     sphere.hitSet = new Set() // Track players hit by this projectile
+    sphere.projectileId = id || this.nextProjectileId()
+    sphere.ownerId = ownerId
+    sphere.weaponId = weapon.id
+    sphere.color = color
+    sphere.rewindMs = rewindMs
+    sphere.firedAt = firedAt
 
-    // Lifetime - 40 seconds
-    sphere.spawnTime = performance.now()
-    sphere.lifetime = 40000 // 40 seconds in ms
+    // Lifetime (a grenade's fuse)
+    sphere.spawnTime = performance.now() - age
+    sphere.lifetime = weapon.lifetimeMs
 
     // Sync mesh with collider
     sphere.position.copy(position)
@@ -273,16 +322,72 @@ export class GameEngine {
     this.projectiles.push(sphere)
 
     // Limit number of projectiles
-    if (this.projectiles.length > 100) {
-      const old = this.projectiles.shift()
-      this.scene.remove(old)
-      old.geometry.dispose()
-      old.material.dispose()
+    if (this.projectiles.length > MAX_PROJECTILES) {
+      const index = findEvictable(this.projectiles)
+      if (index >= 0) this.removeProjectile(index)
+      else this.projectiles[0].lifetime = 0 // Explodes in the next updateProjectiles
     }
 
     return sphere
   }
 
+  removeProjectile(index) {
+    const [sphere] = this.projectiles.splice(index, 1)
+    this.scene.remove(sphere)
+    sphere.geometry.dispose()
+    sphere.material.dispose()
+  }
+
+  // Plain data for world snapshots, rounded to keep the payload small
+  getProjectileSnapshot(now = performance.now()) {
+    const round = (v) => ({ x: Math.round(v.x * 100) / 100, y: Math.round(v.y * 100) / 100, z: Math.round(v.z * 100) / 100 })
+    return this.projectiles.map(sphere => ({
+      id: sphere.projectileId,
+      ownerId: sphere.ownerId,
+      weaponId: sphere.weaponId,
+      position: round(sphere.collider.center),
+      velocity: round(sphere.velocity),
+      color: sphere.color,
+      remaining: Math.max(0, Math.round(sphere.lifetime - (now - sphere.spawnTime)))
+    }))
+  }
+
+  // Pull local projectiles toward the host's snapshot: correct drift, add the
+  // ones we missed and drop the ones the host no longer has
+  reconcileProjectiles(snapshot, now = performance.now()) {
+    const byId = new Map(snapshot.map(p => [p.id, p]))
+    const target = new THREE.Vector3()
+
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const sphere = this.projectiles[i]
+      const remote = byId.get(sphere.projectileId)
+
+      if (!remote) {
+        if (now - sphere.spawnTime > SNAPSHOT_GRACE_MS) this.removeProjectile(i)
+        continue
+      }
+      byId.delete(sphere.projectileId)
+
+      target.set(remote.position.x, remote.position.y, remote.position.z)
+      if (sphere.collider.center.distanceTo(target) > SNAPSHOT_SNAP_DISTANCE) {
+        sphere.collider.center.copy(target)
+      } else {
+        sphere.collider.center.lerp(target, SNAPSHOT_BLEND)
+      }
+      sphere.velocity.set(remote.velocity.x, remote.velocity.y, remote.velocity.z)
+      sphere.position.copy(sphere.collider.center)
+    }
+
+    byId.forEach(remote => {
+      this.createProjectile(
+        new THREE.Vector3(remote.position.x, remote.position.y, remote.position.z),
+        new THREE.Vector3(remote.velocity.x, remote.velocity.y, remote.velocity.z),
+        remote.color,
+        { id: remote.id, ownerId: remote.ownerId, weaponId: remote.weaponId, age: getWeapon(remote.weaponId).lifetimeMs - remote.remaining }
+      )
+    })
+  }
+
   getDeltaTime() {
     return Math.min(0.05, this.clock.getDelta())
   }
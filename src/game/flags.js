@@ -0,0 +1,111 @@
+import * as THREE from 'three'
+import { TEAMS } from './match'
+
+const POLE_HEIGHT = 2.2
+
+// Capture-the-flag visuals. Flag positions come from MatchManager state.
+export class FlagManager {
+  // basesXZ: { red: { x, z }, blue: { x, z } } from the map definition (MAPS in constants.js)
+  constructor(scene, worldOctree, basesXZ) {
+    this.scene = scene
+    this.worldOctree = worldOctree
+    this.flags = new Map() // teamId -> { group, base }
+    this.bases = this.computeBases(basesXZ)
+
+    Object.values(TEAMS).forEach(team => {
+      const group = this.createFlagMesh(team.color)
+      const base = this.createBaseMesh(team.color)
+      base.position.set(this.bases[team.id].x, this.bases[team.id].y, this.bases[team.id].z)
+      group.visible = false
+      base.visible = false
+      this.scene.add(group)
+      this.scene.add(base)
+      this.flags.set(team.id, { group, base })
+    })
+  }
+
+  // Drop each base straight down onto the map
+  computeBases(basesXZ) {
+    const bases = {}
+    const ray = new THREE.Ray(new THREE.Vector3(), new THREE.Vector3(0, -1, 0))
+
+    Object.entries(basesXZ).forEach(([teamId, { x, z }]) => {
+      ray.origin.set(x, 50, z)
+      const hit = this.worldOctree.rayIntersect(ray)
+      const y = hit ? hit.position.y : 0
+      bases[teamId] = { x, y, z }
+    })
+
+    return bases
+  }
+
+  createFlagMesh(color) {
+    const group = new THREE.Group()
+
+    const pole = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.04, 0.04, POLE_HEIGHT, 8),
+      new THREE.MeshLambertMaterial({ color: 0xdddddd })
+    )
+    pole.position.y = POLE_HEIGHT / 2
+    pole.castShadow = true
+    group.add(pole)
+
+    const cloth = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.8, 0.5),
+      new THREE.MeshLambertMaterial({ color, side: THREE.DoubleSide })
+    )
+    cloth.position.set(0.4, POLE_HEIGHT - 0.3, 0)
+    cloth.castShadow = true
+    group.add(cloth)
+
+    return group
+  }
+
+  createBaseMesh(color) {
+    const base = new THREE.Mesh(
+      new THREE.CylinderGeometry(1.2, 1.2, 0.05, 32),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.4 })
+    )
+    base.receiveShadow = true
+    return base
+  }
+
+  // flagsState: MatchManager state.flags (null when the mode has no flags)
+  // getCarrierPosition: (userId) => Vector3 of the carrier's feet, or null
+  update(flagsState, getCarrierPosition, time = performance.now()) {
+    this.flags.forEach(({ group, base }, teamId) => {
+      const flag = flagsState?.[teamId]
+      group.visible = !!flag
+      base.visible = !!flag
+      if (!flag) return
+
+      if (flag.state === 'carried') {
+        const carrier = getCarrierPosition(flag.carrierId)
+        if (carrier) {
+          group.position.set(carrier.x, carrier.y + 0.5, carrier.z)
+        }
+      } else {
+        group.position.set(flag.position.x, flag.position.y, flag.position.z)
+      }
+
+      // Small idle spin so flags are easy to spot
+      group.rotation.y = time * 0.001
+    })
+  }
+
+  dispose() {
+    this.flags.forEach(({ group, base }) => {
+      this.scene.remove(group)
+      this.scene.remove(base)
+      group.traverse(child => {
+        if (child.isMesh) {
+          child.geometry.dispose()
+          child.material.dispose()
+        }
+      })
+      base.geometry.dispose()
+      base.material.dispose()
+    })
+    this.flags.clear()
+  }
+}
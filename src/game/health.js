@@ -0,0 +1,84 @@
+export const MAX_HEALTH = 100
+export const RESPAWN_DELAY_MS = 3000
+export const SPAWN_PROTECTION_MS = 2000
+
+// Damage is the projectile speed at impact (m/s), clamped.
+// A tap shot leaves the barrel at ~15 m/s, a fully charged one at ~45 m/s.
+const DAMAGE_PER_SPEED = 1
+const MIN_DAMAGE = 5
+const MAX_DAMAGE = 50
+
+export function damageFromSpeed(speed) {
+  const damage = speed * DAMAGE_PER_SPEED
+  return Math.round(Math.max(MIN_DAMAGE, Math.min(MAX_DAMAGE, damage)))
+}
+
+// Local player's health. Each client is authoritative over its own HP and
+// broadcasts changes; remote players' HP is only displayed.
+export class HealthSystem {
+  constructor() {
+    this.health = MAX_HEALTH
+    this.isDead = false
+    this.respawnAt = 0
+    this.protectedUntil = 0
+    this.lastAttackerId = null
+
+    // Callbacks
+    this.onChange = null // (state) => void
+    this.onDeath = null // (attackerId) => void
+    this.onRespawn = null // () => void
+  }
+
+  isProtected(now = performance.now()) {
+    return now < this.protectedUntil
+  }
+
+  // Returns the damage actually applied (0 if dead or spawn protected)
+  applyDamage(amount, attackerId = null, now = performance.now()) {
+    if (this.isDead || this.isProtected(now)) return 0
+    if (!Number.isFinite(amount) || amount <= 0) return 0
+
+    const applied = Math.min(this.health, Math.round(amount))
+    this.health -= applied
+    this.lastAttackerId = attackerId
+
+    if (this.health <= 0) {
+      this.health = 0
+      this.isDead = true
+      this.respawnAt = now + RESPAWN_DELAY_MS
+      if (this.onChange) this.onChange(this.getState(now))
+      if (this.onDeath) this.onDeath(attackerId)
+      return applied
+    }
+
+    if (this.onChange) this.onChange(this.getState(now))
+    return applied
+  }
+
+  update(now = performance.now()) {
+    if (this.isDead && now >= this.respawnAt) {
+      this.respawn(now)
+    }
+  }
+
+  respawn(now = performance.now()) {
+    this.health = MAX_HEALTH
+    this.isDead = false
+    this.respawnAt = 0
+    this.protectedUntil = now + SPAWN_PROTECTION_MS
+    this.lastAttackerId = null
+
+    if (this.onRespawn) this.onRespawn()
+    if (this.onChange) this.onChange(this.getState(now))
+  }
+
+  getState(now = performance.now()) {
+    return {
+      health: this.health,
+      maxHealth: MAX_HEALTH,
+      isDead: this.isDead,
+      respawnIn: this.isDead ? Math.max(0, this.respawnAt - now) : 0,
+      isProtected: this.isProtected(now)
+    }
+  }
+}
@@ -0,0 +1,28 @@
+// Host election from presence. No imports, so the transport tests (node --test)
+// can run it on what the relay really sends.
+
+// Place in the line for host: [tier, value], lower first. The relay stamps a
+// join_order clients can't set (options.serverOrdered); elsewhere joined_at is
+// on the room clock and only published once a client has the room's state (see
+// markSynced). Anyone without one only hosts if nobody else qualifies.
+function getHostRank(presence, serverOrdered) {
+  if (serverOrdered && Number.isFinite(presence?.join_order)) return [0, presence.join_order]
+  if (!serverOrdered && presence?.joined_at) return [1, presence.joined_at]
+  return [2, '']
+}
+
+// The host runs shared state (match timers, world snapshots): first in line,
+// user id as tiebreak. Every client computes the same answer from presence, so
+// when the host leaves the next in line takes over without any handshake.
+export function electHost(presenceState, { serverOrdered = false } = {}) {
+  let host = null
+  Object.entries(presenceState).forEach(([userId, presences]) => {
+    const rank = getHostRank(presences[0], serverOrdered)
+    const isEarlier = host && (rank[0] !== host.rank[0] ? rank[0] < host.rank[0] : rank[1] < host.rank[1])
+    const isTie = host && rank[0] === host.rank[0] && rank[1] === host.rank[1]
+    if (!host || isEarlier || (isTie && userId < host.userId)) {
+      host = { userId, rank }
+    }
+  })
+  return host?.userId || null
+}
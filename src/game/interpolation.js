@@ -0,0 +1,138 @@
+import * as THREE from 'three'
+
+// Remote players are rendered this far in the past so there is (almost) always
+// a snapshot on each side of the render time to interpolate between
+export const INTERPOLATION_DELAY_MS = 100
+
+// When packets are late, keep moving with the last known velocity for at most this long
+export const MAX_EXTRAPOLATION_MS = 250
+
+// Jumps larger than this between two snapshots are teleports (respawn, out of bounds) - don't interpolate them
+const TELEPORT_DISTANCE = 10
+
+const MAX_SNAPSHOTS = 32
+
+// Shortest signed angle from a to b, in [-PI, PI]
+export function angleDelta(a, b) {
+  let delta = (b - a) % (Math.PI * 2)
+  if (delta > Math.PI) delta -= Math.PI * 2
+  if (delta < -Math.PI) delta += Math.PI * 2
+  return delta
+}
+
+// Per-player buffer of timestamped snapshots, sampled at (now - delay) in the sender's timeline
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = [] // sorted by time: { time, position: Vector3, yaw }
+    this.clockOffset = null // estimate of (local clock - sender clock) including latency
+    this.velocity = new THREE.Vector3()
+  }
+
+  push(time, position, yaw, receivedAt = Date.now()) {
+    const snapshotTime = Number.isFinite(time) ? time : receivedAt
+
+    // The smallest offset seen is the packet that travelled fastest. Let it creep back up slowly
+    // so clock drift or a slower route doesn't leave us permanently rendering too far ahead.
+    const offset = receivedAt - snapshotTime
+    if (this.clockOffset === null || offset < this.clockOffset) {
+      this.clockOffset = offset
+    } else {
+      this.clockOffset += (offset - this.clockOffset) * 0.01
+    }
+
+    const last = this.snapshots[this.snapshots.length - 1]
+
+    // Ignore duplicates and packets older than everything we still hold
+    if (this.snapshots.length > 0 && snapshotTime <= this.snapshots[0].time) return
+    if (last && snapshotTime === last.time) return
+
+    const snapshot = { time: snapshotTime, position: position.clone(), yaw }
+
+    if (!last || snapshotTime > last.time) {
+      this.snapshots.push(snapshot)
+    } else {
+      // Out of order: insert in place
+      const index = this.snapshots.findIndex(s => s.time > snapshotTime)
+      this.snapshots.splice(index, 0, snapshot)
+    }
+
+    if (this.snapshots.length > MAX_SNAPSHOTS) {
+      this.snapshots.shift()
+    }
+
+    this.updateVelocity()
+  }
+
+  updateVelocity() {
+    const count = this.snapshots.length
+    if (count < 2) {
+      this.velocity.set(0, 0, 0)
+      return
+    }
+
+    const a = this.snapshots[count - 2]
+    const b = this.snapshots[count - 1]
+    const dt = (b.time - a.time) / 1000
+
+    if (dt <= 0 || a.position.distanceTo(b.position) > TELEPORT_DISTANCE) {
+      this.velocity.set(0, 0, 0)
+    } else {
+      this.velocity.subVectors(b.position, a.position).divideScalar(dt)
+    }
+  }
+
+  // Render time in the sender's clock for a given local time
+  getRenderTime(delay = INTERPOLATION_DELAY_MS, now = Date.now()) {
+    return now - (this.clockOffset || 0) - delay
+  }
+
+  // Writes the interpolated state into out ({ position: Vector3, yaw }). Returns false if there is nothing to show yet.
+  sample(renderTime, out) {
+    const count = this.snapshots.length
+    if (count === 0) return false
+
+    const first = this.snapshots[0]
+    const last = this.snapshots[count - 1]
+
+    if (renderTime <= first.time) {
+      out.position.copy(first.position)
+      out.yaw = first.yaw
+      return true
+    }
+
+    if (renderTime >= last.time) {
+      // Late packets: extrapolate briefly, then hold
+      const ahead = Math.min(renderTime - last.time, MAX_EXTRAPOLATION_MS) / 1000
+      out.position.copy(last.position).addScaledVector(this.velocity, ahead)
+      out.yaw = last.yaw
+      return true
+    }
+
+    // Find the two snapshots bracketing the render time
+    let i = count - 2
+    while (i > 0 && this.snapshots[i].time > renderTime) i--
+
+    const from = this.snapshots[i]
+    const to = this.snapshots[i + 1]
+
+    // Drop snapshots we will never need again (keep the one before the render time)
+    if (i > 0) this.snapshots.splice(0, i)
+
+    if (from.position.distanceTo(to.position) > TELEPORT_DISTANCE) {
+      out.position.copy(to.position)
+      out.yaw = to.yaw
+      return true
+    }
+
+    const alpha = (renderTime - from.time) / (to.time - from.time)
+    out.position.lerpVectors(from.position, to.position, alpha)
+    out.yaw = from.yaw + angleDelta(from.yaw, to.yaw) * alpha
+    return true
+  }
+
+  clear() {
+    this.snapshots = []
+    this.clockOffset = null
+    this.velocity.set(0, 0, 0)
+  }
+}
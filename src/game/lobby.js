@@ -0,0 +1,166 @@
+import { createTransport } from './transports'
+import { MAPS } from './constants'
+import { GAME_MODES, DEFAULT_MODE } from './match'
+import { TUNING_PRESETS, DEFAULT_TUNING } from './tuning'
+
+export const LOBBY_CHANNEL = 'lobby'
+
+// The original shared world, always listed even when empty
+export const DEFAULT_ROOM = {
+  id: 'world-1',
+  name: 'Main World',
+  map: MAPS[0].id,
+  mode: DEFAULT_MODE,
+  tuning: DEFAULT_TUNING,
+  isPrivate: false
+}
+
+// How long to wait for a room's presence when resolving a deep link or join code
+const PEEK_TIMEOUT_MS = 3000
+
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // No 0/O or 1/I lookalikes
+const JOIN_CODE_LENGTH = 6
+const PRIVATE_ROOM_PREFIX = 'private-'
+
+export function generateJoinCode() {
+  let code = ''
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[Math.floor(Math.random() * JOIN_CODE_ALPHABET.length)]
+  }
+  return code
+}
+
+// Private rooms are only reachable by knowing their code
+export function roomIdFromCode(code) {
+  return PRIVATE_ROOM_PREFIX + code.trim().toUpperCase()
+}
+
+export function joinCodeFromRoomId(roomId) {
+  return roomId.startsWith(PRIVATE_ROOM_PREFIX) ? roomId.slice(PRIVATE_ROOM_PREFIX.length) : null
+}
+
+// Fill in defaults and drop anything unknown (settings may come from other clients)
+export function normalizeRoomSettings(roomId, settings = {}) {
+  const isPrivate = roomId.startsWith(PRIVATE_ROOM_PREFIX)
+  return {
+    id: roomId,
+    name: typeof settings.name === 'string' && settings.name.trim() ? settings.name.trim().slice(0, 32) : roomId,
+    map: MAPS.some(m => m.id === settings.map) ? settings.map : MAPS[0].id,
+    mode: GAME_MODES[settings.mode] ? settings.mode : DEFAULT_MODE,
+    tuning: TUNING_PRESETS[settings.tuning] ? settings.tuning : DEFAULT_TUNING, // Movement/physics preset
+    isPrivate,
+    joinCode: isPrivate ? joinCodeFromRoomId(roomId) : null
+  }
+}
+
+export function createRoomSettings({ name, map, mode, tuning, isPrivate }) {
+  const roomId = isPrivate
+    ? roomIdFromCode(generateJoinCode())
+    : `room-${Math.random().toString(36).slice(2, 8)}`
+  return normalizeRoomSettings(roomId, { name, map, mode, tuning })
+}
+
+// Read a room's settings from the presence of the players inside it (deep links, join codes).
+// Resolves null if the room is empty.
+export function peekRoom(roomId) {
+  return new Promise((resolve) => {
+    const transport = createTransport(roomId, { presenceKey: `peek-${Math.random().toString(36).slice(2)}` })
+    let done = false
+
+    const finish = (settings) => {
+      if (done) return
+      done = true
+      clearTimeout(timeoutId)
+      transport.close().catch(() => {})
+      resolve(settings ? normalizeRoomSettings(roomId, settings) : null)
+    }
+
+    const timeoutId = setTimeout(() => finish(null), PEEK_TIMEOUT_MS)
+
+    transport.onPresence('sync', () => {
+      const presences = Object.values(transport.presenceState()).map(p => p[0]).filter(p => p?.room)
+      if (presences.length === 0) return
+      // The earliest member's settings win (that's the room's creator or oldest member)
+      presences.sort((a, b) => (a.joined_at || '').localeCompare(b.joined_at || ''))
+      finish(presences[0].room)
+    })
+
+    transport.subscribe((status) => {
+      if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') finish(null)
+    })
+  })
+}
+
+// Lobby presence: players inside public rooms advertise the room they are in,
+// the lobby screen groups them into a room list with live player counts
+export class LobbyManager {
+  constructor(userId, username) {
+    this.userId = userId
+    this.username = username
+    this.transport = null
+    this.room = null
+
+    // Callbacks
+    this.onRoomsChange = null // (rooms) => void
+  }
+
+  async connect() {
+    this.transport = createTransport(LOBBY_CHANNEL, { presenceKey: this.userId })
+
+    this.transport.onPresence('sync', () => {
+      if (this.onRoomsChange) this.onRoomsChange(this.getRooms())
+    })
+
+    return new Promise((resolve) => {
+      const timeoutId = setTimeout(() => resolve(), PEEK_TIMEOUT_MS)
+      this.transport.subscribe(async (status) => {
+        if (status === 'SUBSCRIBED') {
+          clearTimeout(timeoutId)
+          if (this.room) await this.advertise(this.room)
+          resolve()
+        }
+      })
+    })
+  }
+
+  getRooms() {
+    const rooms = new Map([[DEFAULT_ROOM.id, { ...DEFAULT_ROOM, playerCount: 0 }]])
+    if (!this.transport) return Array.from(rooms.values())
+
+    Object.values(this.transport.presenceState()).forEach(presences => {
+      const presence = presences[0]
+      if (!presence?.room_id || !presence.room) return
+
+      if (!rooms.has(presence.room_id)) {
+        const settings = normalizeRoomSettings(presence.room_id, presence.room)
+        if (settings.isPrivate) return
+        rooms.set(presence.room_id, { ...settings, playerCount: 0 })
+      }
+      rooms.get(presence.room_id).playerCount++
+    })
+
+    return Array.from(rooms.values()).sort((a, b) => b.playerCount - a.playerCount || a.name.localeCompare(b.name))
+  }
+
+  // Called from inside a room; private rooms stay out of the list
+  async advertise(room) {
+    this.room = room
+    if (!this.transport || room.isPrivate) return
+
+    await this.transport.track({
+      user_id: this.userId,
+      username: this.username,
+      room_id: room.id,
+      room: { name: room.name, map: room.map, mode: room.mode, tuning: room.tuning }
+    })
+  }
+
+  async disconnect() {
+    if (this.transport) {
+      const transport = this.transport
+      this.transport = null
+      if (this.room && !this.room.isPrivate) await transport.untrack()
+      await transport.close()
+    }
+  }
+}
@@ -0,0 +1,420 @@
+import { COLORS } from './constants'
+
+export const MATCH_PHASES = {
+  WARMUP: 'warmup',
+  RUNNING: 'running',
+  ROUND_END: 'round_end',
+  INTERMISSION: 'intermission'
+}
+
+const paletteColor = (name) => COLORS.find(c => c.name === name).value
+
+export const TEAMS = {
+  red: { id: 'red', name: 'Red', color: paletteColor('Red') },
+  blue: { id: 'blue', name: 'Blue', color: paletteColor('Blue') }
+}
+
+export const GAME_MODES = {
+  ffa: { id: 'ffa', name: 'Free-for-all', teams: false, flags: false, scoreLimit: 15, timeLimitMs: 5 * 60 * 1000 },
+  tdm: { id: 'tdm', name: 'Team Deathmatch', teams: true, flags: false, scoreLimit: 30, timeLimitMs: 8 * 60 * 1000 },
+  ctf: { id: 'ctf', name: 'Capture the Flag', teams: true, flags: true, scoreLimit: 3, timeLimitMs: 10 * 60 * 1000 }
+}
+
+export const DEFAULT_MODE = 'ffa'
+
+const PHASE_DURATIONS_MS = {
+  [MATCH_PHASES.WARMUP]: 20 * 1000,
+  [MATCH_PHASES.ROUND_END]: 8 * 1000,
+  [MATCH_PHASES.INTERMISSION]: 7 * 1000
+}
+
+// Warmup keeps restarting until there is someone to play against
+const MIN_PLAYERS_TO_START = 2
+
+// CTF
+const FLAG_TOUCH_RADIUS = 1.5
+const FLAG_AUTO_RETURN_MS = 20 * 1000
+const FLAG_ACTION_COOLDOWN_MS = 500
+
+export function formatMatchTime(ms) {
+  const totalSeconds = Math.ceil(ms / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+function createFlags(bases) {
+  const flags = {}
+  Object.keys(TEAMS).forEach(teamId => {
+    flags[teamId] = { state: 'base', carrierId: null, position: { ...bases[teamId] }, droppedAt: 0 }
+  })
+  return flags
+}
+
+// Shape checks for a state received from the owner. Broadcasts can carry
+// anything, and the HUD and scoreboard read these fields without guards.
+const FLAG_STATES = ['base', 'carried', 'dropped']
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isStringOrNull = (value) => value === null || value === undefined || typeof value === 'string'
+
+function isValidFlag(flag) {
+  return isObject(flag) &&
+    FLAG_STATES.includes(flag.state) &&
+    isStringOrNull(flag.carrierId) &&
+    isObject(flag.position) && ['x', 'y', 'z'].every(axis => isNumber(flag.position[axis])) &&
+    isNumber(flag.droppedAt)
+}
+
+function isValidMatchState(state) {
+  if (!isObject(state) || !GAME_MODES[state.mode]) return false
+  if (!Object.values(MATCH_PHASES).includes(state.phase)) return false
+  if (!Number.isInteger(state.round) || state.round < 1) return false
+  if (!isNumber(state.phaseEndsAt)) return false
+
+  if (!isObject(state.scores) || !Object.values(state.scores).every(isNumber)) return false
+  if (!isObject(state.stats)) return false
+  const validStats = Object.values(state.stats).every(stats =>
+    isObject(stats) && isNumber(stats.kills) && isNumber(stats.deaths) && isNumber(stats.captures))
+  if (!validStats) return false
+
+  if (!isObject(state.teams) || !Object.values(state.teams).every(teamId => TEAMS[teamId])) return false
+  if (GAME_MODES[state.mode].flags) {
+    if (!isObject(state.flags) || !Object.keys(TEAMS).every(teamId => isValidFlag(state.flags[teamId]))) return false
+  } else if (state.flags !== null && state.flags !== undefined) {
+    return false
+  }
+
+  return isStringOrNull(state.winner) && (!state.pendingMode || !!GAME_MODES[state.pendingMode])
+}
+
+// Match state machine. Every client holds a copy; only the owner (the room's
+// host, see electHost in hostElection.js) advances it and broadcasts the result,
+// everyone else adopts what the owner sends.
+export class MatchManager {
+  // options.clock: () => ms, the room clock phase deadlines are kept in (multiplayer.serverTime)
+  constructor(userId, modeId = DEFAULT_MODE, { clock = Date.now } = {}) {
+    this.userId = userId
+    this.clock = clock
+    this.isOwner = false
+    this.players = [] // user ids currently in the room (including self)
+    this.flagBases = { red: { x: 0, y: 0, z: 0 }, blue: { x: 0, y: 0, z: 0 } }
+    this.lastFlagActionAt = 0
+
+    this.state = this.createState(GAME_MODES[modeId] ? modeId : DEFAULT_MODE, 1)
+
+    // Callbacks
+    this.onStateChange = null // (state) => void - owner only, broadcast it
+    this.onPhaseChange = null // (phase, previousPhase) => void
+    this.onUpdate = null // (state) => void - any change, for the UI
+  }
+
+  createState(mode, round, previous = null) {
+    return {
+      mode,
+      phase: MATCH_PHASES.WARMUP,
+      round,
+      phaseEndsAt: this.clock() + PHASE_DURATIONS_MS[MATCH_PHASES.WARMUP],
+      scores: {},
+      stats: {},
+      teams: previous?.teams || {},
+      flags: GAME_MODES[mode].flags ? createFlags(this.flagBases) : null,
+      winner: null,
+      pendingMode: null
+    }
+  }
+
+  get mode() {
+    return GAME_MODES[this.state.mode]
+  }
+
+  setOwner(isOwner) {
+    this.isOwner = isOwner
+    if (isOwner) this.commit()
+  }
+
+  setFlagBases(bases) {
+    this.flagBases = bases
+    if (this.state.flags) {
+      Object.keys(bases).forEach(teamId => {
+        const flag = this.state.flags[teamId]
+        if (flag.state === 'base') flag.position = { ...bases[teamId] }
+      })
+    }
+  }
+
+  // Owner changes the mode; it takes effect right away during warmup, otherwise next round
+  setMode(modeId) {
+    if (!this.isOwner || !GAME_MODES[modeId]) return
+    if (this.state.phase === MATCH_PHASES.WARMUP) {
+      this.state = this.createState(modeId, this.state.round, this.state)
+      this.assignTeams()
+    } else {
+      this.state.pendingMode = modeId
+    }
+    this.commit()
+  }
+
+  setPlayers(userIds) {
+    this.players = [...userIds].sort()
+    if (!this.isOwner) return
+
+    // Forget teams of players who left and return any flag they carried
+    Object.keys(this.state.teams).forEach(userId => {
+      if (!this.players.includes(userId)) delete this.state.teams[userId]
+    })
+    if (this.state.flags) {
+      Object.entries(this.state.flags).forEach(([teamId, flag]) => {
+        if (flag.carrierId && !this.players.includes(flag.carrierId)) this.returnFlag(teamId)
+      })
+    }
+
+    this.assignTeams()
+    this.commit()
+  }
+
+  // Put new players on the smaller team
+  assignTeams() {
+    if (!this.mode.teams) return
+    const counts = { red: 0, blue: 0 }
+    Object.values(this.state.teams).forEach(teamId => { counts[teamId]++ })
+
+    this.players.forEach(userId => {
+      if (this.state.teams[userId]) return
+      const teamId = counts.red <= counts.blue ? 'red' : 'blue'
+      this.state.teams[userId] = teamId
+      counts[teamId]++
+    })
+  }
+
+  getTeam(userId) {
+    return this.mode.teams ? this.state.teams[userId] || null : null
+  }
+
+  getTimeRemaining(now = this.clock()) {
+    return Math.max(0, this.state.phaseEndsAt - now)
+  }
+
+  // Owner only: advance timers
+  update(now = this.clock()) {
+    if (!this.isOwner) return
+
+    // Dropped flags go home on their own after a while
+    if (this.state.flags && this.state.phase === MATCH_PHASES.RUNNING) {
+      Object.entries(this.state.flags).forEach(([teamId, flag]) => {
+        if (flag.state === 'dropped' && now - flag.droppedAt > FLAG_AUTO_RETURN_MS) {
+          this.returnFlag(teamId)
+          this.commit()
+        }
+      })
+    }
+
+    if (now < this.state.phaseEndsAt) return
+
+    switch (this.state.phase) {
+      case MATCH_PHASES.WARMUP:
+        if (this.players.length >= MIN_PLAYERS_TO_START) {
+          this.setPhase(MATCH_PHASES.RUNNING, this.mode.timeLimitMs, now)
+        } else {
+          this.state.phaseEndsAt = now + PHASE_DURATIONS_MS[MATCH_PHASES.WARMUP]
+          this.commit()
+        }
+        break
+      case MATCH_PHASES.RUNNING:
+        this.endRound(now)
+        break
+      case MATCH_PHASES.ROUND_END:
+        this.setPhase(MATCH_PHASES.INTERMISSION, PHASE_DURATIONS_MS[MATCH_PHASES.INTERMISSION], now)
+        break
+      case MATCH_PHASES.INTERMISSION: {
+        const previousPhase = this.state.phase
+        this.state = this.createState(this.state.pendingMode || this.state.mode, this.state.round + 1, this.state)
+        this.assignTeams()
+        this.commit(previousPhase)
+        break
+      }
+    }
+  }
+
+  setPhase(phase, durationMs, now = this.clock()) {
+    const previousPhase = this.state.phase
+    this.state.phase = phase
+    this.state.phaseEndsAt = now + durationMs
+    this.commit(previousPhase)
+  }
+
+  endRound(now = this.clock()) {
+    this.state.winner = this.getLeader()
+    this.setPhase(MATCH_PHASES.ROUND_END, PHASE_DURATIONS_MS[MATCH_PHASES.ROUND_END], now)
+  }
+
+  getLeader() {
+    let leader = null
+    let best = 0
+    Object.entries(this.state.scores).forEach(([id, score]) => {
+      if (score > best) {
+        best = score
+        leader = id
+      }
+    })
+    return leader
+  }
+
+  getStats(userId) {
+    if (!this.state.stats[userId]) {
+      this.state.stats[userId] = { kills: 0, deaths: 0, captures: 0 }
+    }
+    return this.state.stats[userId]
+  }
+
+  addScore(id, amount = 1) {
+    this.state.scores[id] = (this.state.scores[id] || 0) + amount
+    if (this.state.scores[id] >= this.mode.scoreLimit) {
+      this.endRound()
+    }
+  }
+
+  // Owner only: a player died (from a health-update)
+  recordKill(attackerId, victimId, victimPosition = null) {
+    if (!this.isOwner) return
+
+    // A carrier drops the flag wherever they died, whatever the phase
+    if (this.state.flags) {
+      Object.entries(this.state.flags).forEach(([teamId, flag]) => {
+        if (flag.carrierId === victimId) this.dropFlag(teamId, victimPosition)
+      })
+    }
+
+    if (this.state.phase !== MATCH_PHASES.RUNNING) {
+      this.commit()
+      return
+    }
+
+    this.getStats(victimId).deaths++
+
+    if (attackerId && attackerId !== victimId) {
+      const attackerTeam = this.getTeam(attackerId)
+      const isTeamKill = attackerTeam && attackerTeam === this.getTeam(victimId)
+
+      if (!isTeamKill) {
+        this.getStats(attackerId).kills++
+        if (this.state.mode === 'ffa') this.addScore(attackerId)
+        if (this.state.mode === 'tdm' && attackerTeam) this.addScore(attackerTeam)
+      }
+    }
+
+    this.commit()
+  }
+
+  // --- Capture the flag ---
+
+  returnFlag(teamId) {
+    const flag = this.state.flags[teamId]
+    flag.state = 'base'
+    flag.carrierId = null
+    flag.position = { ...this.flagBases[teamId] }
+    flag.droppedAt = 0
+  }
+
+  dropFlag(teamId, position) {
+    const flag = this.state.flags[teamId]
+    if (!position) {
+      this.returnFlag(teamId)
+      return
+    }
+    flag.state = 'dropped'
+    flag.carrierId = null
+    flag.position = { x: position.x, y: position.y, z: position.z }
+    flag.droppedAt = this.clock()
+  }
+
+  // Local check run every frame: what would touching flags at this position do?
+  getFlagAction(userId, position, now = performance.now()) {
+    const flags = this.state.flags
+    if (!flags || this.state.phase !== MATCH_PHASES.RUNNING) return null
+    if (now - this.lastFlagActionAt < FLAG_ACTION_COOLDOWN_MS) return null
+
+    const team = this.getTeam(userId)
+    if (!team) return null
+    const enemy = team === 'red' ? 'blue' : 'red'
+
+    const near = (p) => {
+      const dx = p.x - position.x
+      const dz = p.z - position.z
+      return dx * dx + dz * dz < FLAG_TOUCH_RADIUS * FLAG_TOUCH_RADIUS && Math.abs(p.y - position.y) < 2.5
+    }
+
+    let action = null
+    if (flags[enemy].state !== 'carried' && near(flags[enemy].position)) {
+      action = { action: 'flag-pickup', team: enemy }
+    } else if (flags[team].state === 'dropped' && near(flags[team].position)) {
+      action = { action: 'flag-return', team }
+    } else if (flags[enemy].carrierId === userId && flags[team].state === 'base' && near(this.flagBases[team])) {
+      action = { action: 'flag-capture', team: enemy }
+    }
+
+    if (action) this.lastFlagActionAt = now
+    return action
+  }
+
+  // Owner only: apply a flag action reported by a client
+  handleFlagEvent({ action, team, userId }) {
+    if (!this.isOwner || !this.state.flags || this.state.phase !== MATCH_PHASES.RUNNING) return
+    const flag = this.state.flags[team]
+    if (!flag) return
+
+    const playerTeam = this.getTeam(userId)
+    if (!playerTeam) return
+
+    if (action === 'flag-pickup' && team !== playerTeam && flag.state !== 'carried') {
+      flag.state = 'carried'
+      flag.carrierId = userId
+    } else if (action === 'flag-return' && team === playerTeam && flag.state === 'dropped') {
+      this.returnFlag(team)
+    } else if (action === 'flag-capture' && flag.carrierId === userId && this.state.flags[playerTeam].state === 'base') {
+      this.returnFlag(team)
+      this.getStats(userId).captures++
+      this.addScore(playerTeam)
+    } else {
+      return
+    }
+
+    this.commit()
+  }
+
+  // --- Sync ---
+
+  commit(previousPhase = null) {
+    this.state.updatedAt = this.clock()
+    if (this.isOwner && this.onStateChange) this.onStateChange(this.state)
+    if (previousPhase && previousPhase !== this.state.phase && this.onPhaseChange) {
+      this.onPhaseChange(this.state.phase, previousPhase)
+    }
+    if (this.onUpdate) this.onUpdate(this.state)
+  }
+
+  // Non-owners adopt the owner's state, if it's well-formed
+  applyState(state) {
+    if (this.isOwner || !isValidMatchState(state)) return
+    const previousPhase = this.state.phase
+    const previousRound = this.state.round
+    this.state = state
+    const phaseChanged = previousPhase !== state.phase || previousRound !== state.round
+    if (phaseChanged && this.onPhaseChange) this.onPhaseChange(state.phase, previousPhase)
+    if (this.onUpdate) this.onUpdate(this.state)
+  }
+
+  // Rows for the scoreboard, best first
+  getScoreboard(names = {}) {
+    return this.players.map(userId => {
+      const stats = this.state.stats[userId] || { kills: 0, deaths: 0, captures: 0 }
+      return {
+        userId,
+        username: names[userId] || 'Unknown',
+        team: this.getTeam(userId),
+        score: this.state.mode === 'ffa' ? this.state.scores[userId] || 0 : stats.kills + stats.captures * 5,
+        ...stats
+      }
+    }).sort((a, b) => b.score - a.score || b.kills - a.kills || a.deaths - b.deaths)
+  }
+}
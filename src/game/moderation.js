@@ -0,0 +1,36 @@
+// Roles and moderation actions, mirroring the user_roles and bans tables
+export const ROLES = {
+  ADMIN: 'admin',
+  MODERATOR: 'moderator',
+  PLAYER: 'player'
+}
+
+export const MODERATION_ACTIONS = {
+  'kick': { label: 'Kick', icon: '🚫', durationMs: 2 * 60 * 1000 }, // Short cooldown so a kick sticks
+  'temp-ban': { label: 'Ban for 24h', icon: '⏳', durationMs: 24 * 60 * 60 * 1000 },
+  'perm-ban': { label: 'Ban permanently', icon: '⛔', durationMs: null }
+}
+
+// roles: { [userId]: role } from getRoles()
+export function getRole(roles, userId) {
+  return roles?.[userId] || ROLES.PLAYER
+}
+
+export function canModerate(role) {
+  return role === ROLES.ADMIN || role === ROLES.MODERATOR
+}
+
+// Moderators can act on players, admins on anyone but other admins
+export function canModerateUser(actorRole, targetRole) {
+  if (!canModerate(actorRole) || targetRole === ROLES.ADMIN) return false
+  return targetRole !== ROLES.MODERATOR || actorRole === ROLES.ADMIN
+}
+
+export function describeBan(ban) {
+  if (!ban) return ''
+  const reason = ban.reason ? ` Reason: ${ban.reason}` : ''
+  if (ban.action === 'perm-ban') return `You are permanently banned.${reason}`
+  const until = new Date(ban.expires_at).toLocaleString()
+  if (ban.action === 'temp-ban') return `You are banned until ${until}.${reason}`
+  return `You were kicked and can rejoin after ${until}.${reason}`
+}
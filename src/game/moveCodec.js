@@ -0,0 +1,126 @@
+// Compact wire format for player-move packets.
+//
+// Identity (username, color, model) lives in presence, so a move packet only
+// carries what changes 30 times a second, packed into 16 bytes and sent as
+// base64 (24 characters instead of ~250 bytes of JSON):
+//
+//   offset  type    field
+//   0       uint8   format version
+//   1       uint8   flags (MOVE_FLAGS)
+//   2       uint16  sequence number (wraps)
+//   4       uint32  sender timestamp, low 32 bits of Date.now()
+//   8       int16   position x, y, z in POSITION_SCALE units
+//   14      uint16  yaw, 0..2PI mapped to 0..65535
+//
+// All values are little-endian.
+
+export const MOVE_CODEC_VERSION = 1
+export const MOVE_PACKET_BYTES = 16
+
+// Centimetres: +-327m covers every map with room to spare
+export const POSITION_SCALE = 100
+
+export const MOVE_FLAGS = {
+  MOVING: 1 << 0,
+  SPRINT: 1 << 1,
+  CROUCH: 1 << 2,
+  SLIDE: 1 << 3 // Never together with CROUCH; none of the three is walking
+}
+
+// Movement state (MOVE_STATES in physics.js) <-> its flag
+const MOVE_STATE_FLAGS = {
+  sprint: MOVE_FLAGS.SPRINT,
+  crouch: MOVE_FLAGS.CROUCH,
+  slide: MOVE_FLAGS.SLIDE
+}
+
+const TWO_PI = Math.PI * 2
+const UINT32_RANGE = 2 ** 32
+
+function quantizePosition(value) {
+  const scaled = Math.round(value * POSITION_SCALE)
+  return Math.max(-32768, Math.min(32767, scaled))
+}
+
+function quantizeYaw(yaw) {
+  const normalized = ((yaw % TWO_PI) + TWO_PI) % TWO_PI
+  return Math.round((normalized / TWO_PI) * 65535)
+}
+
+function dequantizeYaw(value) {
+  const yaw = (value / 65535) * TWO_PI
+  // Back into -PI..PI like the camera's rotation
+  return yaw > Math.PI ? yaw - TWO_PI : yaw
+}
+
+function bytesToBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i])
+  return btoa(binary)
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+// Rebuild a full timestamp from its low 32 bits, picking the candidate closest
+// to our own clock (senders are never 24 days off)
+function unwrapTimestamp(low, now) {
+  const base = now - (now % UINT32_RANGE)
+  const candidates = [base - UINT32_RANGE + low, base + low, base + UINT32_RANGE + low]
+  return candidates.reduce((best, t) => (Math.abs(t - now) < Math.abs(best - now) ? t : best))
+}
+
+// state: PlayerController.getState() ({ position, rotation: { y }, isMoving, moveState })
+export function encodePlayerMove(state, seq, timestamp = Date.now()) {
+  const bytes = new Uint8Array(MOVE_PACKET_BYTES)
+  const view = new DataView(bytes.buffer)
+
+  let flags = 0
+  if (state.isMoving) flags |= MOVE_FLAGS.MOVING
+  flags |= MOVE_STATE_FLAGS[state.moveState] || 0
+
+  view.setUint8(0, MOVE_CODEC_VERSION)
+  view.setUint8(1, flags)
+  view.setUint16(2, seq & 0xffff, true)
+  view.setUint32(4, timestamp % UINT32_RANGE, true)
+  view.setInt16(8, quantizePosition(state.position.x), true)
+  view.setInt16(10, quantizePosition(state.position.y), true)
+  view.setInt16(12, quantizePosition(state.position.z), true)
+  view.setUint16(14, quantizeYaw(state.rotation?.y || 0), true)
+
+  return bytesToBase64(bytes)
+}
+
+// Returns null for anything that isn't a packet we understand
+export function decodePlayerMove(encoded, now = Date.now()) {
+  if (typeof encoded !== 'string') return null
+
+  let bytes
+  try {
+    bytes = base64ToBytes(encoded)
+  } catch {
+    return null
+  }
+  if (bytes.length !== MOVE_PACKET_BYTES) return null
+
+  const view = new DataView(bytes.buffer)
+  if (view.getUint8(0) !== MOVE_CODEC_VERSION) return null
+
+  const flags = view.getUint8(1)
+  return {
+    seq: view.getUint16(2, true),
+    timestamp: unwrapTimestamp(view.getUint32(4, true), now),
+    position: {
+      x: view.getInt16(8, true) / POSITION_SCALE,
+      y: view.getInt16(10, true) / POSITION_SCALE,
+      z: view.getInt16(12, true) / POSITION_SCALE
+    },
+    rotation: { y: dequantizeYaw(view.getUint16(14, true)) },
+    isMoving: (flags & MOVE_FLAGS.MOVING) !== 0,
+    moveState: Object.keys(MOVE_STATE_FLAGS).find(state => flags & MOVE_STATE_FLAGS[state]) || 'walk'
+  }
+}
@@ -0,0 +1,107 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  encodePlayerMove,
+  decodePlayerMove,
+  MOVE_CODEC_VERSION,
+  MOVE_PACKET_BYTES,
+  POSITION_SCALE
+} from './moveCodec.js'
+
+const NOW = 1767225600000 // 2026-01-01, well past the first 32-bit wrap of Date.now()
+const YAW_STEP = (Math.PI * 2) / 65535
+
+function state(overrides = {}) {
+  return {
+    position: { x: 1.23, y: 4.56, z: -7.89 },
+    rotation: { y: 0.5 },
+    isMoving: false,
+    moveState: 'walk',
+    ...overrides
+  }
+}
+
+function roundTrip(value, seq = 1, timestamp = NOW, now = NOW) {
+  return decodePlayerMove(encodePlayerMove(value, seq, timestamp), now)
+}
+
+test('packs into 16 bytes of base64', () => {
+  const encoded = encodePlayerMove(state(), 1, NOW)
+  assert.equal(encoded.length, 24)
+  assert.equal(Buffer.from(encoded, 'base64').length, MOVE_PACKET_BYTES)
+  assert.equal(Buffer.from(encoded, 'base64')[0], MOVE_CODEC_VERSION)
+})
+
+test('position round-trips to the nearest centimetre', () => {
+  const decoded = roundTrip(state({ position: { x: 12.346, y: -0.016, z: 300.126 } }))
+  assert.deepEqual(decoded.position, { x: 12.35, y: -0.02, z: 300.13 })
+})
+
+test('position clamps to the int16 range', () => {
+  const max = 32767 / POSITION_SCALE
+  const min = -32768 / POSITION_SCALE
+  const decoded = roundTrip(state({ position: { x: 1000, y: -1000, z: 327.68 } }))
+  assert.deepEqual(decoded.position, { x: max, y: min, z: max })
+})
+
+test('yaw round-trips within one step and comes back in -PI..PI', () => {
+  for (const yaw of [0, 0.5, -0.5, Math.PI - 0.001, -Math.PI + 0.001]) {
+    const decoded = roundTrip(state({ rotation: { y: yaw } }))
+    assert.ok(Math.abs(decoded.rotation.y - yaw) <= YAW_STEP, `yaw ${yaw} came back as ${decoded.rotation.y}`)
+  }
+})
+
+test('yaw outside -PI..PI wraps around', () => {
+  const decoded = roundTrip(state({ rotation: { y: Math.PI * 1.5 } }))
+  assert.ok(Math.abs(decoded.rotation.y - -Math.PI / 2) <= YAW_STEP)
+
+  const missing = roundTrip(state({ rotation: undefined }))
+  assert.equal(missing.rotation.y, 0)
+})
+
+test('flags carry isMoving and the movement state', () => {
+  assert.equal(roundTrip(state()).isMoving, false)
+  assert.equal(roundTrip(state({ isMoving: true })).isMoving, true)
+
+  for (const moveState of ['walk', 'sprint', 'crouch', 'slide']) {
+    const decoded = roundTrip(state({ isMoving: true, moveState }))
+    assert.equal(decoded.moveState, moveState)
+    assert.equal(decoded.isMoving, true)
+  }
+
+  assert.equal(roundTrip(state({ moveState: undefined })).moveState, 'walk')
+  assert.equal(roundTrip(state({ moveState: 'flying' })).moveState, 'walk')
+})
+
+test('sequence numbers wrap at 16 bits', () => {
+  assert.equal(roundTrip(state(), 0).seq, 0)
+  assert.equal(roundTrip(state(), 65535).seq, 65535)
+  assert.equal(roundTrip(state(), 65536).seq, 0)
+  assert.equal(roundTrip(state(), 65537).seq, 1)
+  assert.equal(roundTrip(state(), -1).seq, 65535)
+})
+
+test('timestamp round-trips from its low 32 bits', () => {
+  assert.equal(roundTrip(state(), 1, NOW, NOW).timestamp, NOW)
+  // The receiver's clock is a little ahead or behind the sender's
+  assert.equal(roundTrip(state(), 1, NOW, NOW + 150).timestamp, NOW)
+  assert.equal(roundTrip(state(), 1, NOW, NOW - 150).timestamp, NOW)
+})
+
+test('timestamp unwraps across a 32-bit boundary', () => {
+  const wrap = Math.ceil(NOW / 2 ** 32) * 2 ** 32
+  // Sent just before the low 32 bits wrap, received just after, and the other way round
+  assert.equal(roundTrip(state(), 1, wrap - 10, wrap + 20).timestamp, wrap - 10)
+  assert.equal(roundTrip(state(), 1, wrap + 10, wrap - 20).timestamp, wrap + 10)
+})
+
+test('rejects anything that is not a packet', () => {
+  assert.equal(decodePlayerMove(null), null)
+  assert.equal(decodePlayerMove(42), null)
+  assert.equal(decodePlayerMove('not base64!'), null)
+  assert.equal(decodePlayerMove(Buffer.alloc(MOVE_PACKET_BYTES - 1).toString('base64')), null)
+
+  const bytes = Buffer.from(encodePlayerMove(state(), 1, NOW), 'base64')
+  bytes[0] = MOVE_CODEC_VERSION + 1
+  assert.equal(decodePlayerMove(bytes.toString('base64')), null)
+})
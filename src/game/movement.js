@@ -0,0 +1,157 @@
+import * as THREE from 'three'
+import { STEPS_PER_FRAME, PLAYER_HEIGHT, CROUCH_HEIGHT, MOVE_STATES, isCrouched } from './physics.js'
+
+// Player movement from input, shared by PlayerController and the headless
+// room simulation (server/simulation.js). No camera, DOM or window here, and
+// imports keep their .js extension so Node can load this file as is.
+// Speeds, stamina and slides come from physics.tuning (tuning.js).
+
+// Fixed simulation rate when a server is authoritative
+export const TICK_RATE = 60
+export const TICK_MS = 1000 / TICK_RATE
+
+export const INPUT_BUTTONS = {
+  FORWARD: 1 << 0,
+  BACK: 1 << 1,
+  LEFT: 1 << 2,
+  RIGHT: 1 << 3,
+  JUMP: 1 << 4,
+  RESPAWN: 1 << 5, // Back to a spawn point before moving (after death)
+  SPRINT: 1 << 6,
+  CROUCH: 1 << 7
+}
+
+const OUT_OF_BOUNDS_Y = -25
+const EXHAUSTED_UNTIL = 0.3 // Stamina needed to sprint again after running dry
+
+const forward = new THREE.Vector3()
+const side = new THREE.Vector3()
+
+// Horizontal facing for a camera yaw (rotation order YXZ looks down -Z)
+export function forwardFromYaw(yaw, out = new THREE.Vector3()) {
+  return out.set(-Math.sin(yaw), 0, -Math.cos(yaw))
+}
+
+export function sideFromYaw(yaw, out = new THREE.Vector3()) {
+  return out.set(Math.cos(yaw), 0, -Math.sin(yaw))
+}
+
+// Where the camera looks for a yaw and pitch
+export function lookDirection(yaw, pitch, out = new THREE.Vector3()) {
+  const cosPitch = Math.cos(pitch)
+  return out.set(-Math.sin(yaw) * cosPitch, Math.sin(pitch), -Math.cos(yaw) * cosPitch)
+}
+
+// Walk, sprint (forward + SPRINT, while stamina lasts), crouch, or slide (CROUCH
+// pressed mid-sprint at speed, until it slows down, runs out or is let go).
+// Standing back up waits for headroom.
+export function updateMoveState(physics, buttons, deltaTime) {
+  const { tuning } = physics
+  const wantsCrouch = (buttons & INPUT_BUTTONS.CROUCH) !== 0
+  const wantsSprint = (buttons & INPUT_BUTTONS.SPRINT) !== 0 && (buttons & INPUT_BUTTONS.FORWARD) !== 0
+  const groundSpeed = Math.hypot(physics.velocity.x, physics.velocity.z)
+  let state = physics.moveState
+
+  if (state === MOVE_STATES.SLIDE) {
+    physics.slideTime += deltaTime
+    if (!wantsCrouch || groundSpeed < tuning.slideStopSpeed || physics.slideTime >= tuning.slideMaxSeconds) {
+      state = wantsCrouch ? MOVE_STATES.CROUCH : MOVE_STATES.WALK
+    }
+  } else if (wantsCrouch) {
+    if (state === MOVE_STATES.SPRINT && physics.onFloor && groundSpeed >= tuning.slideMinSpeed) {
+      state = MOVE_STATES.SLIDE
+      physics.slideTime = 0
+      const boost = (groundSpeed + tuning.slideBoost) / groundSpeed
+      physics.velocity.x *= boost
+      physics.velocity.z *= boost
+    } else {
+      state = MOVE_STATES.CROUCH
+    }
+  } else {
+    state = wantsSprint && !physics.exhausted ? MOVE_STATES.SPRINT : MOVE_STATES.WALK
+  }
+
+  if (!isCrouched(state) && physics.height < PLAYER_HEIGHT && !physics.canStand()) {
+    state = MOVE_STATES.CROUCH
+  }
+
+  if (state === MOVE_STATES.SPRINT) {
+    physics.stamina = Math.max(0, physics.stamina - deltaTime / tuning.sprintSeconds)
+    if (physics.stamina === 0) {
+      physics.exhausted = true
+      state = MOVE_STATES.WALK
+    }
+  } else {
+    physics.stamina = Math.min(1, physics.stamina + deltaTime / tuning.staminaRecoverySeconds)
+    if (physics.stamina >= EXHAUSTED_UNTIL) physics.exhausted = false
+  }
+
+  physics.moveState = state
+  physics.setHeight(isCrouched(state) ? CROUCH_HEIGHT : PLAYER_HEIGHT)
+  return state
+}
+
+// Of the ground acceleration. Sliding only keeps its momentum.
+function speedMultiplier(tuning, state) {
+  if (state === MOVE_STATES.SPRINT) return tuning.sprintMultiplier
+  if (state === MOVE_STATES.CROUCH) return tuning.crouchMultiplier
+  if (state === MOVE_STATES.SLIDE) return 0
+  return 1
+}
+
+// input: { buttons (INPUT_BUTTONS), yaw }. Returns true if the player is trying to move.
+export function applyMovementInput(physics, input, deltaTime) {
+  const buttons = input.buttons || 0
+  const state = updateMoveState(physics, buttons, deltaTime)
+  const speedDelta = deltaTime * (physics.onFloor
+    ? physics.tuning.groundAcceleration * speedMultiplier(physics.tuning, state)
+    : physics.tuning.airAcceleration)
+
+  forwardFromYaw(input.yaw || 0, forward)
+  sideFromYaw(input.yaw || 0, side)
+
+  let isMoving = false
+  if (buttons & INPUT_BUTTONS.FORWARD) {
+    physics.velocity.addScaledVector(forward, speedDelta)
+    isMoving = true
+  }
+  if (buttons & INPUT_BUTTONS.BACK) {
+    physics.velocity.addScaledVector(forward, -speedDelta)
+    isMoving = true
+  }
+  if (buttons & INPUT_BUTTONS.LEFT) {
+    physics.velocity.addScaledVector(side, -speedDelta)
+    isMoving = true
+  }
+  if (buttons & INPUT_BUTTONS.RIGHT) {
+    physics.velocity.addScaledVector(side, speedDelta)
+    isMoving = true
+  }
+
+  if (buttons & INPUT_BUTTONS.JUMP) {
+    physics.jump()
+  }
+
+  return isMoving || state === MOVE_STATES.SLIDE
+}
+
+// One fixed tick of a player: input, then the physics substeps. Falling out of
+// the world puts the player back at a spawn point (physics.spawnPicker).
+// spawns: { respawn, fall } where this tick put the player; filled in the first
+// time and reused when the same tick is replayed (ClientPrediction), since the
+// picker's answer depends on where everyone else is at the time.
+export function stepPlayer(physics, input, deltaTime, otherPlayers = [], spawns = {}) {
+  if (input.buttons & INPUT_BUTTONS.RESPAWN) spawns.respawn = physics.reset(spawns.respawn)
+
+  const isMoving = applyMovementInput(physics, input, deltaTime)
+
+  const subStepDelta = deltaTime / STEPS_PER_FRAME
+  for (let i = 0; i < STEPS_PER_FRAME; i++) {
+    physics.update(subStepDelta)
+    physics.resolvePlayerCollisions(otherPlayers)
+  }
+
+  if (physics.collider.end.y <= OUT_OF_BOUNDS_Y) spawns.fall = physics.reset(spawns.fall)
+
+  return isMoving
+}
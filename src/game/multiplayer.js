@@ -1,15 +1,74 @@
-import { supabase } from '../lib/supabase'
-
-const BROADCAST_INTERVAL_MS = 1000 / 30 // 30 updates per second
+import { createTransport } from './transports'
+import { NetStats } from './netStats'
+import { encodePlayerMove, decodePlayerMove } from './moveCodec'
+import { MessageGuard } from './validation'
+import { angleDelta } from './interpolation'
+import { ClockSync } from './clockSync'
+import { getRole, canModerate } from './moderation'
+import { electHost } from './hostElection'
+
+// player-move rate, per second. Walking sends at MOVING_RATE, speeding up towards
+// MAX_RATE with speed (or straight to it for a while after a shot or hit);
+// standing still only sends a heartbeat so late joiners and lost packets catch up.
+const MAX_BROADCAST_RATE = 30
+const MOVING_BROADCAST_RATE = 12
+const IDLE_BROADCAST_RATE = 1
+const FAST_SPEED = 8 // m/s at which MAX_BROADCAST_RATE is reached
+const COMBAT_WINDOW_MS = 2000
+const POSITION_THRESHOLD = 0.01
+const YAW_THRESHOLD = 0.01 // Radians; turning in place counts as moving
+// Default cap on the player-move packets each client receives per second. Bigger
+// rooms share it, so everyone sends less often (but never below the heartbeat).
+const DEFAULT_MOVE_BUDGET = 300
+const CONNECT_TIMEOUT_MS = 5000
+const PING_INTERVAL_MS = 2000
+const RECONNECT_BASE_DELAY_MS = 1000
+const RECONNECT_MAX_DELAY_MS = 30000
+
+export const CONNECTION_STATES = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting', // Lost the channel, waiting for the next retry
+  DISCONNECTED: 'disconnected'
+}
 
 export class MultiplayerManager {
-  constructor(userId, username, profile) {
+  // options.spectator: watch only, never sends moves or projectiles
+  // options.moveBudget: player-move packets per second a client should have to handle
+  constructor(userId, username, profile, { spectator = false, moveBudget = DEFAULT_MOVE_BUDGET } = {}) {
     this.userId = userId
     this.username = username
     this.profile = profile || { color: '#ffffff' }
-    this.channel = null
+    this.isSpectator = spectator
+    this.transport = null
+    this.roomId = null
+    this.room = null
+    this.joinedAt = null
+    this.connectionState = CONNECTION_STATES.DISCONNECTED
+    this.shouldReconnect = false
+    this.hasConnected = false
+    this.reconnectAttempts = 0
+    this.reconnectTimer = null
     this.lastBroadcastTime = 0
     this.lastPosition = { x: 0, y: 0, z: 0 }
+    this.lastYaw = 0
+    this.lastMoveState = null
+    this.lastSample = null // { x, y, z, time } from the previous broadcastPosition call, for speed
+    this.speed = 0
+    this.lastCombatTime = -Infinity
+    this.moveBudget = moveBudget
+    this.playerCount = 1 // Non-spectators in the room, from presence
+    this.moveSeq = 0 // Lets receivers spot lost player-move packets
+    this.identityDirty = true // Send username/color/model with the next move packet
+    this.identities = new Map() // userId -> { username, color, modelUrl }, from presence
+    this.netStats = new NetStats()
+    this.guard = new MessageGuard()
+    this.roles = {} // userId -> role, from the user_roles table (see setRoles)
+    this.hostId = null
+    this.authoritative = false // The relay simulates the room: we send inputs, it sends state
+    this.clock = new ClockSync() // Room clock for every timestamp we send, see serverTime()
+    this.clockReference = null // Whose pongs the clock follows: 'server', the host or ourselves
+    this.pingTimer = null
 
     // Callbacks
     this.onPlayerJoin = null
@@ -20,63 +79,234 @@ export class MultiplayerManager {
     this.onProjectileSpawn = null
     this.onKick = null
     this.onRequestState = null
+    this.onKnockback = null
+    this.onHealthUpdate = null
+    this.onMatchState = null
+    this.onMatchEvent = null
+    this.onConnectionStateChange = null // (state, { attempt, retryInMs }) => void
+    this.onHostChange = null // (hostId, previousHostId) => void
+    this.onWorldSnapshot = null
+    this.onWorldState = null
+    this.onServerState = null
+  }
+
+  // room: settings from lobby.js ({ name, map, mode }), shared through presence so
+  // people following a link or join code pick up the same map and mode.
+  // Resolves once the first attempt settles either way so the game can start;
+  // after that the connection is retried in the background until disconnect().
+  async connect(roomId = 'world-1', room = null) {
+    this.roomId = roomId
+    this.room = room
+    this.shouldReconnect = true
+    this.reconnectAttempts = 0
+    this.setConnectionState(CONNECTION_STATES.CONNECTING)
+
+    return new Promise((resolve) => {
+      this.openChannel(resolve)
+    })
   }
 
-  async connect(roomId = 'world-1') {
-    this.channel = supabase.channel(roomId, {
-      config: {
-        presence: { key: this.userId },
-        broadcast: { ack: false, self: false }
+  openChannel(onSettled = null) {
+    const transport = createTransport(this.roomId, { presenceKey: this.userId })
+    this.transport = transport
+    this.registerHandlers(transport)
+
+    // Timeout to prevent hanging indefinetely
+    const timeoutId = setTimeout(() => {
+      console.warn('Multiplayer connection timed out, continuing offline while retrying')
+      this.handleConnectionLost(transport, 'TIMED_OUT')
+      if (onSettled) onSettled()
+    }, CONNECT_TIMEOUT_MS)
+
+    transport.subscribe(async (status) => {
+      // Late statuses from a channel we already gave up on
+      if (transport !== this.transport) return
+
+      if (status === 'SUBSCRIBED') {
+        clearTimeout(timeoutId)
+        const isReconnect = this.hasConnected
+        this.hasConnected = true
+        this.reconnectAttempts = 0
+        this.authoritative = !!transport.authoritative
+        this.updateClockReference()
+        try {
+          await transport.track(this.getPresenceMeta())
+        } catch (err) {
+          console.error('Failed to track presence:', err)
+        }
+        this.setConnectionState(CONNECTION_STATES.CONNECTED)
+        this.startPing()
+
+        // Whatever happened while we were away (hits, scores, projectiles) is lost, ask again
+        if (isReconnect) this.requestState()
+        if (onSettled) onSettled()
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+        clearTimeout(timeoutId)
+        this.handleConnectionLost(transport, status)
+        if (onSettled) onSettled()
       }
     })
+  }
+
+  registerHandlers(transport) {
+    // Count every incoming broadcast for the net graph, then validate and
+    // rate limit it (by sender, where the transport knows it) before any handler sees it
+    const on = (event, handler) => transport.on(event, (raw, sender) => {
+      this.netStats.recordIn(event, raw)
+      const payload = this.guard.check(event, raw, { sender })
+      if (payload) handler(payload)
+    })
 
     // Listen for player position updates
-    this.channel.on('broadcast', { event: 'player-move' }, (payload) => {
-      if (this.onPlayerMove && payload.payload.userId !== this.userId) {
-        this.onPlayerMove(payload.payload)
+    on('player-move', (payload) => {
+      if (payload.userId === this.userId) return
+      const move = decodePlayerMove(payload.m, this.serverTime())
+      if (!move) return
+
+      if (payload.i) this.identities.set(payload.userId, payload.i)
+      this.netStats.recordSeq(payload.userId, move.seq)
+      if (this.onPlayerMove) {
+        this.onPlayerMove({ userId: payload.userId, ...this.identities.get(payload.userId), ...move })
       }
     })
 
+    // Answer pings so the sender can measure its round-trip time to us, and
+    // set its clock by ours if we're its reference
+    on('ping', (payload) => {
+      if (payload.userId === this.userId) return
+      this.send('pong', {
+        userId: this.userId,
+        targetUserId: payload.userId,
+        sentAt: payload.sentAt,
+        serverTime: this.serverTime()
+      })
+    })
 
+    on('pong', (payload) => {
+      if (payload.targetUserId !== this.userId) return
+      const rtt = performance.now() - payload.sentAt
+      this.netStats.recordRtt(payload.userId, rtt)
+      if (payload.userId === this.clockReference && payload.serverTime !== undefined) {
+        this.clock.addSample(rtt, payload.serverTime)
+      }
+    })
 
-    // Listen for state requests (new player joining)
-    this.channel.on('broadcast', { event: 'request-state' }, (payload) => {
-      if (this.onRequestState && payload.payload.userId !== this.userId) {
-        this.onRequestState(payload.payload)
+    // Listen for state requests (new player joining). Only the host answers, see sendWorldState.
+    on('request-state', (payload) => {
+      if (this.onRequestState && payload.userId !== this.userId) {
+        this.onRequestState(payload)
       }
     })
 
     // Listen for chat messages
-    this.channel.on('broadcast', { event: 'chat-message' }, (payload) => {
-      if (this.onChatMessage && payload.payload.userId !== this.userId) {
-        this.onChatMessage(payload.payload)
+    on('chat-message', (payload) => {
+      if (this.onChatMessage && payload.userId !== this.userId) {
+        this.onChatMessage(payload)
       }
     })
 
     // Listen for projectile spawns
-    this.channel.on('broadcast', { event: 'projectile-spawn' }, (payload) => {
-      if (this.onProjectileSpawn && payload.payload.userId !== this.userId) {
-        this.onProjectileSpawn(payload.payload)
+    on('projectile-spawn', (payload) => {
+      if (this.onProjectileSpawn && payload.userId !== this.userId) {
+        this.onProjectileSpawn(payload)
       }
     })
 
-    // Listen for kick events
-    this.channel.on('broadcast', { event: 'kick-event' }, (payload) => {
+    // Listen for kick events, only from senders the roles table says are staff
+    on('kick-event', (payload) => {
+      if (!canModerate(getRole(this.roles, payload.kickedBy))) {
+        console.warn(`Ignoring kick-event from ${payload.kickedBy}: not a moderator`)
+        return
+      }
       if (this.onKick) {
-        this.onKick(payload.payload)
+        this.onKick(payload)
+      }
+    })
+
+    // Listen for knockback events (only the targeted player reacts)
+    on('knockback', (payload) => {
+      if (this.onKnockback && payload.targetUserId === this.userId && payload.userId !== this.userId) {
+        this.lastCombatTime = performance.now()
+        this.onKnockback(payload)
+      }
+    })
+
+    // Listen for health changes of other players
+    on('health-update', (payload) => {
+      if (this.onHealthUpdate && payload.userId !== this.userId) {
+        this.onHealthUpdate(payload)
+      }
+    })
+
+    // Listen for match state from the match owner, who is always the host
+    on('match-state', (payload) => {
+      if (this.onMatchState && payload.userId !== this.userId && payload.userId === this.hostId) {
+        this.onMatchState(payload)
+      }
+    })
+
+    // Listen for match events (flag pickups etc.) for the match owner to apply
+    on('match-event', (payload) => {
+      if (this.onMatchEvent && payload.userId !== this.userId) {
+        this.onMatchEvent(payload)
+      }
+    })
+
+    // Authoritative world state, only from whoever we think is host
+    on('world-snapshot', (payload) => {
+      if (this.onWorldSnapshot && payload.userId !== this.userId && payload.userId === this.hostId) {
+        this.onWorldSnapshot(payload)
+      }
+    })
+
+    // Authoritative state from a simulating relay; nobody else gets to send it
+    on('server-state', (payload) => {
+      if (this.onServerState && this.authoritative && payload.userId === 'server') {
+        this.onServerState(payload)
+      }
+    })
+
+    // Full world state, the host's answer to our request-state
+    on('world-state', (payload) => {
+      if (this.onWorldState && payload.targetUserId === this.userId && payload.userId === this.hostId) {
+        this.onWorldState(payload)
       }
     })
 
     // Listen for presence sync
-    this.channel.on('presence', { event: 'sync' }, () => {
-      const state = this.channel.presenceState()
+    transport.onPresence('sync', () => {
+      const state = transport.presenceState()
+      // Move packets carry no identity, remember it from presence
+      Object.entries(state).forEach(([userId, presences]) => {
+        const presence = presences[0]
+        if (!presence) return
+        this.identities.set(userId, {
+          username: presence.username,
+          color: presence.color,
+          modelUrl: presence.model_url
+        })
+      })
+
+      this.playerCount = Object.values(state).filter(presences => presences[0] && !presences[0].spectator).length
+      this.guard.setPeerCount(Object.keys(state).filter(userId => userId !== this.userId).length)
+
+      const hostId = electHost(state, { serverOrdered: transport.ordersPresence })
+      if (hostId !== this.hostId) {
+        const previousHostId = this.hostId
+        this.hostId = hostId
+        this.updateClockReference()
+        // Nobody in line before us: there is no state to wait for
+        if (hostId === this.userId) this.markSynced()
+        if (this.onHostChange) this.onHostChange(hostId, previousHostId)
+      }
+
       if (this.onPresenceSync) {
         this.onPresenceSync(state)
       }
     })
 
     // Listen for player joins
-    this.channel.on('presence', { event: 'join' }, ({ newPresences }) => {
+    transport.onPresence('join', ({ newPresences }) => {
       if (this.onPlayerJoin) {
         newPresences.forEach(presence => {
           if (presence.user_id !== this.userId) {
@@ -87,7 +317,11 @@ export class MultiplayerManager {
     })
 
     // Listen for player leaves
-    this.channel.on('presence', { event: 'leave' }, ({ leftPresences }) => {
+    transport.onPresence('leave', ({ leftPresences }) => {
+      leftPresences.forEach(presence => {
+        this.netStats.removePeer(presence.user_id)
+        this.guard.forget(presence.user_id)
+      })
       if (this.onPlayerLeave) {
         leftPresences.forEach(presence => {
           // Just pass the event to Game.jsx to handle debouncing/logic
@@ -97,125 +331,203 @@ export class MultiplayerManager {
         })
       }
     })
+  }
 
-    // Subscribe and track presence
-    return new Promise((resolve, reject) => {
-      // Timeout to prevent hanging indefinetely
-      const timeoutId = setTimeout(() => {
-        console.warn('Multiplayer connection timed out, proceeding in offline mode')
-        resolve() // Resolve anyway to let the game start
-      }, 5000)
-
-      this.channel.subscribe(async (status) => {
-        if (status === 'SUBSCRIBED') {
-          clearTimeout(timeoutId)
-          try {
-            await this.channel.track({
-              user_id: this.userId,
-              username: this.username,
-              color: this.profile.color,
-              model_url: this.profile.modelUrl, // Add modelUrl to presence
-              joined_at: new Date().toISOString()
-            })
-          } catch (err) {
-            console.error('Failed to track presence:', err)
-          }
-          resolve()
-        } else if (status === 'CHANNEL_ERROR') {
-          clearTimeout(timeoutId)
-          console.error('Channel error')
-          reject(new Error('Failed to subscribe to channel'))
-        }
-      })
-    })
+  // Drop the broken channel and schedule a fresh one with exponential backoff
+  handleConnectionLost(transport, reason) {
+    if (transport !== this.transport) return
+
+    this.transport = null
+    this.stopPing()
+    transport.close().catch(() => {})
+
+    if (!this.shouldReconnect) {
+      this.setConnectionState(CONNECTION_STATES.DISCONNECTED)
+      return
+    }
+
+    const backoff = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts)
+    // Jitter so a whole room doesn't hammer the server in lockstep after an outage
+    const retryInMs = Math.round(backoff * (0.5 + Math.random() * 0.5))
+    this.reconnectAttempts++
+
+    console.warn(`Multiplayer connection lost (${reason}), retry #${this.reconnectAttempts} in ${retryInMs}ms`)
+    this.setConnectionState(CONNECTION_STATES.RECONNECTING, { attempt: this.reconnectAttempts, retryInMs })
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      if (this.shouldReconnect) this.openChannel()
+    }, retryInMs)
+  }
+
+  startPing() {
+    this.stopPing()
+    const ping = () => this.send('ping', { userId: this.userId, sentAt: performance.now() })
+    ping() // The clock wants a sample straight away
+    this.pingTimer = setInterval(ping, PING_INTERVAL_MS)
+  }
+
+  // The relay keeps time when it simulates the room, otherwise the host does
+  updateClockReference() {
+    const reference = this.authoritative ? 'server' : this.hostId
+    if (reference === this.clockReference) return
+
+    this.clockReference = reference
+    if (reference === this.userId) {
+      this.clock.becomeReference()
+    } else {
+      this.clock.reset()
+    }
+  }
+
+  // Now on the room clock (ms since the epoch, like Date.now()). Use it for
+  // anything compared across clients.
+  serverTime() {
+    return this.clock.now()
+  }
+
+  // One-way delay to the clock reference (half the best round trip), 0 until measured
+  getLatency() {
+    return this.clock.uncertainty ?? 0
+  }
+
+  // For the net graph: { offset, uncertainty } in ms, and whose clock we follow
+  getClockStats() {
+    return { ...this.clock.getStats(), reference: this.clockReference }
+  }
+
+  stopPing() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer)
+      this.pingTimer = null
+    }
+  }
+
+  // Every outgoing broadcast goes through here so it shows up in the net graph
+  send(event, payload) {
+    if (!this.transport) return
+    this.netStats.recordOut(event, payload)
+    return this.transport.send(event, payload)
   }
 
+  setConnectionState(state, details = {}) {
+    this.connectionState = state
+    if (this.onConnectionStateChange) {
+      this.onConnectionStateChange(state, details)
+    }
+  }
+
+  // Called every frame; decides itself whether this frame is worth a packet
   broadcastPosition(state, force = false) {
-    if (!this.channel) return
+    if (!this.transport || this.isSpectator || this.authoritative) return
 
     const now = performance.now()
+    const pos = state.position
+    const yaw = state.rotation?.y || 0
+    this.trackSpeed(pos, now)
+
+    const moved =
+      Math.abs(pos.x - this.lastPosition.x) > POSITION_THRESHOLD ||
+      Math.abs(pos.y - this.lastPosition.y) > POSITION_THRESHOLD ||
+      Math.abs(pos.z - this.lastPosition.z) > POSITION_THRESHOLD
+    const turned = Math.abs(angleDelta(this.lastYaw, yaw)) > YAW_THRESHOLD
+    const restanced = state.moveState !== this.lastMoveState
 
     // Throttle broadcasts, unless forced
-    if (!force && now - this.lastBroadcastTime < BROADCAST_INTERVAL_MS) {
+    if (!force && now - this.lastBroadcastTime < 1000 / this.getBroadcastRate(moved || turned || restanced, now)) {
       return
     }
 
-    // Only broadcast if position changed significantly, unless forced
-    const pos = state.position
-    const threshold = 0.01
-    const moved =
-      Math.abs(pos.x - this.lastPosition.x) > threshold ||
-      Math.abs(pos.y - this.lastPosition.y) > threshold ||
-      Math.abs(pos.z - this.lastPosition.z) > threshold
+    const payload = {
+      userId: this.userId,
+      m: encodePlayerMove(state, ++this.moveSeq, this.serverTime())
+    }
+    // Identity normally comes from presence; repeat it once after a change so
+    // peers don't wait on the presence round-trip
+    if (this.identityDirty) {
+      payload.i = { username: this.username, color: this.profile.color, modelUrl: this.profile.modelUrl }
+      this.identityDirty = false
+    }
+    this.send('player-move', payload)
 
-    if (!moved && !force) return
+    this.lastBroadcastTime = now
+    this.lastPosition = { ...pos }
+    this.lastYaw = yaw
+    this.lastMoveState = state.moveState
+  }
 
+  // Smoothed speed of the local player in m/s
+  trackSpeed(pos, now) {
+    const last = this.lastSample
+    if (last && now > last.time) {
+      const distance = Math.hypot(pos.x - last.x, pos.y - last.y, pos.z - last.z)
+      const speed = distance / ((now - last.time) / 1000)
+      this.speed += (speed - this.speed) * 0.2
+    }
+    this.lastSample = { x: pos.x, y: pos.y, z: pos.z, time: now }
+  }
 
-    this.channel.send({
-      type: 'broadcast',
-      event: 'player-move',
-      payload: {
-        userId: this.userId,
-        username: this.username,
-        color: this.profile.color,
-        modelUrl: this.profile.modelUrl, // Add modelUrl to broadcast
-        ...state,
-        timestamp: Date.now()
-      }
-    })
+  // Packets per second for player-move right now
+  getBroadcastRate(changed, now = performance.now()) {
+    if (!changed) return IDLE_BROADCAST_RATE
 
-    this.lastBroadcastTime = now
-    this.lastPosition = { ...pos }
+    const inCombat = now - this.lastCombatTime < COMBAT_WINDOW_MS
+    const rate = inCombat
+      ? MAX_BROADCAST_RATE
+      : MOVING_BROADCAST_RATE + (MAX_BROADCAST_RATE - MOVING_BROADCAST_RATE) * Math.min(1, this.speed / FAST_SPEED)
+
+    // Everyone else in the room sends at about the same rate
+    const budgetRate = this.moveBudget / Math.max(1, this.playerCount - 1)
+    return Math.max(IDLE_BROADCAST_RATE, Math.min(rate, budgetRate))
   }
 
   sendChatMessage(message, colorOverride = null) {
-    if (!this.channel || !message.trim()) return
-
-    this.channel.send({
-      type: 'broadcast',
-      event: 'chat-message',
-      payload: {
-        userId: this.userId,
-        username: this.username,
-        color: colorOverride || this.profile.color,
-        message: message.trim(),
-        timestamp: Date.now()
-      }
+    if (!this.transport || !message.trim()) return
+
+    this.send('chat-message', {
+      userId: this.userId,
+      username: this.username,
+      color: colorOverride || this.profile.color,
+      message: message.trim(),
+      timestamp: this.serverTime()
     })
   }
 
-  kickPlayer(targetUserId) {
-    if (!this.channel) return
-
+  // action: 'kick' | 'temp-ban' | 'perm-ban', already recorded in the bans table
+  kickPlayer(targetUserId, action = 'kick', reason = null) {
+    if (!this.transport) return
 
-    this.channel.send({
-      type: 'broadcast',
-      event: 'kick-event',
-      payload: {
-        targetUserId: targetUserId,
-        kickedBy: this.userId,
-        timestamp: Date.now()
-      }
+    this.send('kick-event', {
+      targetUserId: targetUserId,
+      kickedBy: this.userId,
+      action,
+      reason,
+      timestamp: this.serverTime()
     })
   }
 
-  broadcastProjectile(position, velocity, color) {
-    if (!this.channel) {
-      console.warn('Cannot broadcast projectile: No channel')
+  setRoles(roles) {
+    this.roles = roles || {}
+  }
+
+  // Hitscan weapons send the ray: position is the origin, velocity the unit direction
+  broadcastProjectile(position, velocity, color, id = null, weaponId = null) {
+    if (this.isSpectator || this.authoritative) return
+    if (!this.transport) {
+      console.warn('Cannot broadcast projectile: No transport')
       return
     }
+    this.lastCombatTime = performance.now()
 
 
-    this.channel.send({
-      type: 'broadcast',
-      event: 'projectile-spawn',
-      payload: {
-        userId: this.userId,
-        position: { x: position.x, y: position.y, z: position.z },
-        velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
-        color,
-        timestamp: Date.now()
-      }
+    this.send('projectile-spawn', {
+      userId: this.userId,
+      id,
+      weaponId,
+      position: { x: position.x, y: position.y, z: position.z },
+      velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+      color,
+      timestamp: this.serverTime()
     }).then(() => {
     }).catch(err => {
       console.error('Broadcast failed:', err)
@@ -223,25 +535,146 @@ export class MultiplayerManager {
   }
 
 
+  // shot: { weaponId, firedAt } of the projectile or beam that hit, firedAt on the room clock
+  sendKnockback(targetUserId, impulse, damage = 0, { weaponId = null, firedAt = null } = {}) {
+    if (!this.transport || this.authoritative) return // The server works out hits itself
+
+    const timestamp = this.serverTime()
+    this.send('knockback', {
+      userId: this.userId,
+      targetUserId,
+      impulse: { x: impulse.x, y: impulse.y, z: impulse.z },
+      damage,
+      weaponId,
+      shotAt: firedAt ?? timestamp,
+      timestamp
+    })
+  }
+
+  broadcastHealth(health, isDead, attackerId = null) {
+    if (!this.transport || this.isSpectator) return
+
+    this.send('health-update', {
+      userId: this.userId,
+      health,
+      isDead,
+      attackerId,
+      timestamp: this.serverTime()
+    })
+  }
+
+  broadcastMatchState(state) {
+    if (!this.transport) return
+
+    this.send('match-state', {
+      userId: this.userId,
+      state,
+      timestamp: this.serverTime()
+    })
+  }
+
+  sendMatchEvent(event) {
+    if (!this.transport) return
+
+    this.send('match-event', {
+      ...event,
+      userId: this.userId,
+      timestamp: this.serverTime()
+    })
+  }
+
+  // Authoritative mode: one tick of input ({ seq, buttons, yaw, pitch, fire? }) instead of positions
+  sendInput(input) {
+    if (!this.transport || this.isSpectator || !this.authoritative) return
+
+    this.send('player-input', {
+      userId: this.userId,
+      ...input
+    })
+  }
+
+  isHost() {
+    return this.hostId === this.userId
+  }
+
+  // Host only: { tick, projectiles, match }
+  broadcastWorldSnapshot(snapshot) {
+    if (!this.transport || !this.isHost()) return
+
+    this.send('world-snapshot', {
+      userId: this.userId,
+      ...snapshot,
+      timestamp: this.serverTime()
+    })
+  }
+
+  // Host only: answer a request-state with { tick, projectiles, match, players }
+  sendWorldState(targetUserId, state) {
+    if (!this.transport || !this.isHost()) return
+
+    this.send('world-state', {
+      userId: this.userId,
+      targetUserId,
+      ...state,
+      timestamp: this.serverTime()
+    })
+  }
 
   requestState() {
-    if (!this.channel) return
+    if (!this.transport) return
 
-    this.channel.send({
-      type: 'broadcast',
-      event: 'request-state',
-      payload: {
-        userId: this.userId,
-        timestamp: Date.now()
-      }
+    this.send('request-state', {
+      userId: this.userId,
+      timestamp: this.serverTime()
     })
   }
 
+  // We have the room's state (the host's world-state, or there was nobody to ask),
+  // so we can join the line for host. Until then a newcomer whose clock runs
+  // behind can't take over and restart the match from its empty copy.
+  markSynced() {
+    if (this.joinedAt) return
+    this.joinedAt = new Date(this.serverTime()).toISOString()
+    if (this.transport) {
+      this.transport.track(this.getPresenceMeta()).catch(err => console.error('Failed to track presence:', err))
+    }
+  }
+
+  getPresenceMeta() {
+    return {
+      user_id: this.userId,
+      username: this.username,
+      color: this.profile.color,
+      model_url: this.profile.modelUrl, // Add modelUrl to presence
+      joined_at: this.joinedAt, // Room clock, null until markSynced
+      role: getRole(this.roles, this.userId), // Display only, never trusted
+      spectator: this.isSpectator,
+      room: this.room ? { name: this.room.name, map: this.room.map, mode: this.room.mode, tuning: this.room.tuning } : null
+    }
+  }
+
+  // Re-track presence after a profile change (color/model)
+  async updateProfile(profile) {
+    this.profile = profile
+    this.identityDirty = true
+    if (!this.transport) return
+    await this.transport.track(this.getPresenceMeta())
+  }
+
   async disconnect() {
-    if (this.channel) {
-      await this.channel.untrack()
-      await supabase.removeChannel(this.channel)
-      this.channel = null
+    this.shouldReconnect = false
+    this.stopPing()
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+
+    if (this.transport) {
+      const transport = this.transport
+      this.transport = null
+      await transport.untrack()
+      await transport.close()
     }
+    this.setConnectionState(CONNECTION_STATES.DISCONNECTED)
   }
 }
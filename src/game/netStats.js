@@ -0,0 +1,163 @@
+// Network diagnostics for the net graph: message rates/sizes in and out,
+// per-peer round-trip time and jitter (from ping/pong) and player-move loss
+// (from gaps in the sender's sequence numbers).
+
+const WINDOW_MS = 1000 // Rates and loss are reported per completed window
+const HISTORY_LENGTH = 60 // Windows kept for the graph
+
+// Smoothing as in TCP's SRTT/RTTVAR (RFC 6298)
+const RTT_ALPHA = 1 / 8
+const JITTER_BETA = 1 / 4
+
+const SEQ_RANGE = 65536
+const MAX_SEQ_GAP = 1000 // Bigger jumps mean the sender restarted rather than lost packets
+
+function payloadSize(payload) {
+  try {
+    return JSON.stringify(payload).length
+  } catch {
+    return 0
+  }
+}
+
+function emptyCounters() {
+  return { inCount: 0, inBytes: 0, outCount: 0, outBytes: 0, byEvent: {} }
+}
+
+export class NetStats {
+  constructor() {
+    this.peers = new Map() // userId -> { rtt, jitter, lastSeq, expected, received, loss }
+    this.window = emptyCounters()
+    this.windowStartedAt = performance.now()
+    this.rates = { inPerSec: 0, inBytesPerSec: 0, outPerSec: 0, outBytesPerSec: 0, byEvent: {} }
+    this.history = [] // [{ rtt, inBytesPerSec, outBytesPerSec, loss }]
+  }
+
+  recordOut(event, payload) {
+    this.roll()
+    const size = payloadSize(payload)
+    this.window.outCount++
+    this.window.outBytes += size
+    this.countEvent(event, 'out', size)
+  }
+
+  recordIn(event, payload) {
+    this.roll()
+    const size = payloadSize(payload)
+    this.window.inCount++
+    this.window.inBytes += size
+    this.countEvent(event, 'in', size)
+  }
+
+  countEvent(event, direction, size) {
+    const entry = this.window.byEvent[event] || (this.window.byEvent[event] = { in: 0, out: 0, bytes: 0 })
+    entry[direction]++
+    entry.bytes += size
+  }
+
+  getPeer(userId) {
+    if (!this.peers.has(userId)) {
+      this.peers.set(userId, { rtt: null, jitter: 0, lastSeq: null, expected: 0, received: 0, loss: 0 })
+    }
+    return this.peers.get(userId)
+  }
+
+  removePeer(userId) {
+    this.peers.delete(userId)
+  }
+
+  recordRtt(userId, rtt) {
+    const peer = this.getPeer(userId)
+    if (peer.rtt === null) {
+      peer.rtt = rtt
+      peer.jitter = rtt / 2
+    } else {
+      peer.jitter += JITTER_BETA * (Math.abs(peer.rtt - rtt) - peer.jitter)
+      peer.rtt += RTT_ALPHA * (rtt - peer.rtt)
+    }
+  }
+
+  // Sequence numbers (16-bit, wrapping) only advance when a packet is actually
+  // sent, so every skipped number is a packet that never arrived
+  recordSeq(userId, seq) {
+    if (typeof seq !== 'number') return
+    const peer = this.getPeer(userId)
+    const delta = peer.lastSeq === null ? null : (seq - peer.lastSeq + SEQ_RANGE) % SEQ_RANGE
+
+    if (delta === null || (delta > MAX_SEQ_GAP && delta < SEQ_RANGE / 2)) {
+      // First packet, or the sender restarted (reload/rejoin)
+      peer.lastSeq = seq
+      peer.expected++
+      peer.received++
+      return
+    }
+    if (delta === 0 || delta >= SEQ_RANGE / 2) return // Late or duplicate, already counted as lost
+
+    peer.expected += delta
+    peer.received++
+    peer.lastSeq = seq
+  }
+
+  // Close the current window once it's old enough
+  roll(now = performance.now()) {
+    const elapsed = now - this.windowStartedAt
+    if (elapsed < WINDOW_MS) return
+
+    const seconds = elapsed / 1000
+    this.rates = {
+      inPerSec: this.window.inCount / seconds,
+      inBytesPerSec: this.window.inBytes / seconds,
+      outPerSec: this.window.outCount / seconds,
+      outBytesPerSec: this.window.outBytes / seconds,
+      byEvent: this.window.byEvent
+    }
+
+    this.peers.forEach(peer => {
+      if (peer.expected > 0) {
+        peer.loss = 1 - peer.received / peer.expected
+      }
+      peer.expected = 0
+      peer.received = 0
+    })
+
+    const summary = this.summarizePeers()
+    this.history.push({
+      rtt: summary.rtt,
+      inBytesPerSec: this.rates.inBytesPerSec,
+      outBytesPerSec: this.rates.outBytesPerSec,
+      loss: summary.loss
+    })
+    if (this.history.length > HISTORY_LENGTH) this.history.shift()
+
+    this.window = emptyCounters()
+    this.windowStartedAt = now
+  }
+
+  summarizePeers() {
+    const peers = Array.from(this.peers.values()).filter(p => p.rtt !== null)
+    if (peers.length === 0) return { rtt: null, jitter: null, loss: 0 }
+
+    const avg = (key) => peers.reduce((sum, p) => sum + p[key], 0) / peers.length
+    return { rtt: avg('rtt'), jitter: avg('jitter'), loss: avg('loss') }
+  }
+
+  // Plain object for the UI
+  snapshot() {
+    this.roll()
+    const peers = {}
+    this.peers.forEach((peer, userId) => {
+      peers[userId] = {
+        rtt: peer.rtt === null ? null : Math.round(peer.rtt),
+        jitter: Math.round(peer.jitter),
+        loss: peer.loss
+      }
+    })
+
+    return {
+      ...this.rates,
+      ...this.summarizePeers(),
+      peers,
+      history: this.history.slice()
+    }
+  }
+}
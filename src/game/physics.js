@@ -1,32 +1,95 @@
 import * as THREE from 'three'
 import { Capsule } from 'three/addons/math/Capsule.js'
+import { createTuning } from './tuning.js'
 
-export const GRAVITY = 30
 export const STEPS_PER_FRAME = 5
+export const PLAYER_RADIUS = 0.35
+export const PLAYER_HEIGHT = 0.65 // Between the centres of the capsule's end spheres
+export const CROUCH_HEIGHT = 0.2
+
+// Set by src/game/movement.js each step. Crouching and sliding use the short capsule.
+export const MOVE_STATES = {
+  WALK: 'walk',
+  SPRINT: 'sprint',
+  CROUCH: 'crouch',
+  SLIDE: 'slide'
+}
+
+export function isCrouched(moveState) {
+  return moveState === MOVE_STATES.CROUCH || moveState === MOVE_STATES.SLIDE
+}
+
+// Camera (the top of the capsule's segment) above the feet
+export function eyeHeight(moveState) {
+  return PLAYER_RADIUS + (isCrouched(moveState) ? CROUCH_HEIGHT : PLAYER_HEIGHT)
+}
+
+// Feet position when nothing picks a spawn point: above the middle of the map
+export const DEFAULT_SPAWN = { x: 0, y: 4.5, z: 0 }
+const SPAWN_LIFT = 0.15 // Start slightly higher to avoid falling through floor
+const HEADROOM_MARGIN = 0.05 // Shrinks the stand-up test so touching the floor or a wall doesn't count
 
 export class PlayerPhysics {
-  constructor(worldOctree) {
+  // tuning: shared values from tuning.js, read every step
+  constructor(worldOctree, tuning = createTuning()) {
     this.worldOctree = worldOctree
+    this.tuning = tuning
 
     // Player collider - capsule shape
     this.collider = new Capsule(
-      new THREE.Vector3(0, 0.35, 0),
-      new THREE.Vector3(0, 1, 0),
-      0.35
+      new THREE.Vector3(0, PLAYER_RADIUS, 0),
+      new THREE.Vector3(0, PLAYER_RADIUS + PLAYER_HEIGHT, 0),
+      PLAYER_RADIUS
     )
 
     this.velocity = new THREE.Vector3()
     this.direction = new THREE.Vector3()
     this.onFloor = false
+
+    this.height = PLAYER_HEIGHT // Capsule segment length, CROUCH_HEIGHT while crouched
+    this.moveState = MOVE_STATES.WALK
+    this.stamina = 1 // Fraction of a full sprint left
+    this.exhausted = false // Ran dry: no sprinting until stamina has come back a bit
+    this.slideTime = 0 // Seconds into the current slide
+
+    this.spawnPicker = null // () => feet position { x, y, z } or null, see src/game/spawns.js
   }
 
-  reset() {
-    // Start slightly higher to avoid falling through floor
-    this.collider.start.set(0, 5, 0)
-    this.collider.end.set(0, 5.65, 0)
-    this.collider.radius = 0.35
+  // Back to a spawn point: the one given, else the picker's, else DEFAULT_SPAWN.
+  // Returns the one used.
+  reset(spawn = null) {
+    const { x, y, z } = spawn || (this.spawnPicker && this.spawnPicker()) || DEFAULT_SPAWN
+    this.collider.start.set(x, y + PLAYER_RADIUS + SPAWN_LIFT, z)
+    this.collider.end.set(x, y + PLAYER_RADIUS + SPAWN_LIFT + PLAYER_HEIGHT, z)
+    this.collider.radius = PLAYER_RADIUS
     this.velocity.set(0, 0, 0)
     this.onFloor = false
+
+    this.height = PLAYER_HEIGHT
+    this.moveState = MOVE_STATES.WALK
+    this.stamina = 1
+    this.exhausted = false
+    this.slideTime = 0
+    return { x, y, z }
+  }
+
+  // Grow or shrink the capsule from the feet up
+  setHeight(height) {
+    if (height === this.height) return
+    this.height = height
+    this.collider.end.copy(this.collider.start)
+    this.collider.end.y += height
+  }
+
+  // Is there room above to stand up from a crouch?
+  canStand() {
+    const { start, radius } = this.collider
+    const test = new Capsule(
+      new THREE.Vector3(start.x, start.y + HEADROOM_MARGIN, start.z),
+      new THREE.Vector3(start.x, start.y + PLAYER_HEIGHT, start.z),
+      radius - HEADROOM_MARGIN
+    )
+    return !this.worldOctree.capsuleIntersect(test)
   }
 
   checkCollisions() {
@@ -51,18 +114,19 @@ export class PlayerPhysics {
   }
 
   update(deltaTime) {
-    let damping = Math.exp(-4 * deltaTime) - 1
+    const { tuning } = this
+    let friction = this.moveState === MOVE_STATES.SLIDE ? tuning.slideFriction : tuning.groundFriction
 
     if (!this.onFloor) {
-      this.velocity.y -= GRAVITY * deltaTime
+      this.velocity.y -= tuning.gravity * deltaTime
       // Small air resistance
-      damping *= 0.1
+      friction = tuning.airFriction
     }
 
-    this.velocity.addScaledVector(this.velocity, damping)
+    this.velocity.addScaledVector(this.velocity, Math.exp(-friction * deltaTime) - 1)
 
     // Terminal velocity cap to prevent flying off to space
-    const maxSpeed = 50
+    const maxSpeed = tuning.maxSpeed
     if (this.velocity.lengthSq() > maxSpeed * maxSpeed) {
       this.velocity.normalize().multiplyScalar(maxSpeed)
     }
@@ -75,16 +139,28 @@ export class PlayerPhysics {
 
   jump() {
     if (this.onFloor) {
-      this.velocity.y = 15
+      this.velocity.y = this.tuning.jumpVelocity
     }
   }
 
+  // Add an external velocity change (e.g. knockback from a projectile hit)
+  applyImpulse(impulse) {
+    if (!isFinite(impulse.x) || !isFinite(impulse.y) || !isFinite(impulse.z)) return
+
+    this.velocity.x += impulse.x
+    this.velocity.y += impulse.y
+    this.velocity.z += impulse.z
+
+    // Leave the floor so ground damping doesn't swallow the push on the next step
+    if (impulse.y > 0) this.onFloor = false
+  }
+
   getPosition() {
     return this.collider.end.clone()
   }
 
   setPosition(position) {
-    const offset = new THREE.Vector3(0, -0.65, 0)
+    const offset = new THREE.Vector3(0, -this.height, 0)
     this.collider.start.copy(position).add(offset)
     offset.y = 0
     this.collider.end.copy(position)
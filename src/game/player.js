@@ -1,7 +1,28 @@
 import * as THREE from 'three'
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import { MODELS, STORAGE_URL } from './constants'
+import { INPUT_BUTTONS, applyMovementInput, stepPlayer } from './movement'
+import { PLAYER_HEIGHT, MOVE_STATES, isCrouched } from './physics'
+import { createShot, chargeFraction, SHOT_SPAWN_DISTANCE } from './projectiles'
+import { WEAPON_IDS, DEFAULT_WEAPON, getWeapon, createAmmo, applySpread, createSpreadSeed } from './weapons'
+import { ClientPrediction } from './prediction'
+
+// What the camera is attached to. PLAYER is the normal body (first or third
+// person, see setPerspective); spectators use the other two.
+export const CAMERA_MODES = {
+  PLAYER: 'player',
+  FREE_FLY: 'free-fly',
+  CHASE: 'chase'
+}
+
+const FLY_SPEED = 12 // m/s
+const FLY_SPRINT_MULTIPLIER = 3
+const CHASE_DISTANCE = 5
+const CHASE_HEIGHT = 2
+const EYE_HEIGHT_RATE = 12 // Per second, how fast the camera follows a crouch or stand
+const CROUCHED_MODEL_SCALE = 0.65 // Our own avatar's height while crouched, in third person
 
+// physics is null for spectators: no capsule, no avatar, no shooting
 export class PlayerController {
   constructor(camera, physics, domElement, engine, profile) {
     this.camera = camera
@@ -12,8 +33,17 @@ export class PlayerController {
     this.multiplayer = null // Will be set after construction
 
     // State
+    this.enabled = true // False while dead: no movement or shooting
     this.isThirdPerson = false
     this.projectileColor = this.profile.color
+    this.cameraMode = physics ? CAMERA_MODES.PLAYER : CAMERA_MODES.FREE_FLY
+    this.remotePlayers = null // RemotePlayersManager, for the chase camera
+    this.chaseTargetId = null
+    this.onCameraModeChange = null // (mode, chaseTargetId) => void
+    this.weaponId = DEFAULT_WEAPON
+    this.lastShotAt = -Infinity
+    this.ammo = createAmmo() // weaponId -> { magazine, reserve }
+    this.reload = null // { weaponId, startedAt, duration } while reloading
 
     // Model
     this.loader = new GLTFLoader()
@@ -26,8 +56,14 @@ export class PlayerController {
     this.mouseButtons = {}
     this.isLocked = false
     this.mouseTime = 0
+    this.pendingFire = null // Shot waiting for the next input tick when the server is authoritative
+    this.pendingButtons = 0 // One-off buttons (respawn) for the next input tick
+    this.pendingReload = null // Weapon id whose reload the server should start with the next input tick
+    this.inputSeq = 0
+    this.prediction = physics ? new ClientPrediction(physics) : null
 
     this.direction = new THREE.Vector3()
+    this.eyeHeight = PLAYER_HEIGHT // Eased towards physics.height so crouching doesn't snap the camera
 
     // Third person camera settings
     this.cameraOffset = new THREE.Vector3(0, 2, -4) // Behind and up
@@ -39,6 +75,7 @@ export class PlayerController {
     this.onMouseDown = this.onMouseDown.bind(this)
     this.onMouseUp = this.onMouseUp.bind(this)
     this.onMouseMove = this.onMouseMove.bind(this)
+    this.onWheel = this.onWheel.bind(this)
     this.onPointerLockChange = this.onPointerLockChange.bind(this)
     this.requestPointerLock = this.requestPointerLock.bind(this)
 
@@ -51,6 +88,8 @@ export class PlayerController {
   }
 
   async loadModel(modelFile, colorHex) {
+    if (!this.physics) return // Spectators have no body to show
+
     try {
       // Find model definition to get yOffset
       const modelDef = MODELS.find(m => m.file === modelFile)
@@ -110,12 +149,30 @@ export class PlayerController {
     document.addEventListener('mousedown', this.onMouseDown)
     document.addEventListener('mouseup', this.onMouseUp)
     document.addEventListener('mousemove', this.onMouseMove)
+    document.addEventListener('wheel', this.onWheel)
     document.addEventListener('pointerlockchange', this.onPointerLockChange)
     this.domElement.addEventListener('click', this.requestPointerLock)
   }
 
   onKeyDown(e) {
+    if (!this.enabled) return
     this.keyStates[e.code] = true
+
+    if (this.isSpectator() && e.code === 'KeyF' && !e.repeat) {
+      if (this.cameraMode === CAMERA_MODES.CHASE) {
+        this.setCameraMode(CAMERA_MODES.FREE_FLY)
+      } else {
+        this.cycleChaseTarget(1)
+      }
+    }
+
+    if (e.code === 'KeyR' && !this.isSpectator()) this.startReload()
+
+    // Number keys pick a weapon (1 = first in weapons.js)
+    const slot = e.code.startsWith('Digit') ? Number(e.code.slice(5)) - 1 : -1
+    if (!this.isSpectator() && slot >= 0 && slot < WEAPON_IDS.length) {
+      this.selectWeapon(WEAPON_IDS[slot])
+    }
   }
 
   onKeyUp(e) {
@@ -123,17 +180,86 @@ export class PlayerController {
   }
 
   onMouseDown(e) {
-    if (this.isLocked && e.button === 0) {
+    if (!this.isLocked) return
+    this.mouseButtons[e.button] = true
+
+    if (e.button === 0) {
       this.mouseTime = performance.now()
+      // Charge weapons fire on release, the rest straight away
+      if (this.enabled && !this.isSpectator() && !getWeapon(this.weaponId).charge) this.shoot()
     }
   }
 
   onMouseUp(e) {
-    if (this.isLocked && e.button === 0) {
+    this.mouseButtons[e.button] = false
+    if (!this.isLocked || !this.enabled) return
+
+    // Spectators click through players instead of shooting
+    if (this.isSpectator()) {
+      if (e.button === 0) this.cycleChaseTarget(1)
+      if (e.button === 2) this.cycleChaseTarget(-1)
+    } else if (e.button === 0 && getWeapon(this.weaponId).charge) {
       this.shoot()
     }
   }
 
+  onWheel(e) {
+    if (!this.isLocked || this.isSpectator() || e.deltaY === 0) return
+    const index = WEAPON_IDS.indexOf(this.weaponId)
+    const step = e.deltaY > 0 ? 1 : -1
+    this.selectWeapon(WEAPON_IDS[(index + step + WEAPON_IDS.length) % WEAPON_IDS.length])
+  }
+
+  selectWeapon(weaponId) {
+    if (weaponId === this.weaponId || !WEAPON_IDS.includes(weaponId)) return
+    this.weaponId = weaponId
+    this.reload = null // Switching away throws the reload away
+  }
+
+  // Refill the current magazine from reserve after the weapon's reloadMs
+  startReload(now = performance.now()) {
+    const weapon = getWeapon(this.weaponId)
+    const ammo = this.ammo[weapon.id]
+    if (this.reload || ammo.magazine >= weapon.magazine || ammo.reserve === 0) return
+
+    this.reload = { weaponId: weapon.id, startedAt: now, duration: weapon.reloadMs }
+    if (this.multiplayer?.authoritative) this.pendingReload = weapon.id
+  }
+
+  updateReload(now = performance.now()) {
+    if (!this.reload || now - this.reload.startedAt < this.reload.duration) return
+
+    const weapon = getWeapon(this.reload.weaponId)
+    const ammo = this.ammo[weapon.id]
+    const loaded = Math.min(weapon.magazine - ammo.magazine, ammo.reserve)
+    ammo.magazine += loaded
+    ammo.reserve -= loaded
+    this.reload = null
+  }
+
+  // Respawning comes with a full loadout
+  resetAmmo() {
+    this.ammo = createAmmo()
+    this.reload = null
+    this.lastShotAt = -Infinity
+  }
+
+  // For the HUD: ammo, reload progress and charge (0..1, null when not happening)
+  getWeaponState(now = performance.now()) {
+    const weapon = getWeapon(this.weaponId)
+    const ammo = this.ammo[weapon.id]
+    const isCharging = weapon.charge && this.enabled && this.isLocked && this.mouseButtons[0] && !this.reload
+
+    return {
+      weaponId: weapon.id,
+      magazine: ammo.magazine,
+      magazineSize: weapon.magazine,
+      reserve: ammo.reserve,
+      reloadProgress: this.reload ? Math.min(1, (now - this.reload.startedAt) / this.reload.duration) : null,
+      charge: isCharging && weapon.chargeSpeed > 0 ? chargeFraction(now - this.mouseTime) : null
+    }
+  }
+
   onMouseMove(e) {
     if (document.pointerLockElement === this.domElement) {
       this.camera.rotation.y -= e.movementX / 500
@@ -172,61 +298,142 @@ export class PlayerController {
   setPerspective(isThirdPerson) {
     this.isThirdPerson = isThirdPerson
     if (this.model) {
-      this.model.visible = isThirdPerson
+      this.model.visible = isThirdPerson && this.enabled
+    }
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled
+    if (!enabled) this.keyStates = {}
+    if (this.model) {
+      this.model.visible = enabled && this.isThirdPerson
+    }
+  }
+
+  isSpectator() {
+    return !this.physics
+  }
+
+  setCameraMode(mode) {
+    if (mode === CAMERA_MODES.PLAYER && this.isSpectator()) return
+    this.cameraMode = mode
+    if (mode !== CAMERA_MODES.CHASE) this.chaseTargetId = null
+    if (this.onCameraModeChange) this.onCameraModeChange(this.cameraMode, this.chaseTargetId)
+  }
+
+  setRemotePlayers(remotePlayers) {
+    this.remotePlayers = remotePlayers
+  }
+
+  // Follow the next (step 1) or previous (step -1) remote player, in join order.
+  // Falls back to free-fly when there is nobody to watch.
+  cycleChaseTarget(step) {
+    const ids = this.remotePlayers ? Array.from(this.remotePlayers.players.keys()) : []
+    if (ids.length === 0) {
+      this.setCameraMode(CAMERA_MODES.FREE_FLY)
+      return
     }
+
+    const index = ids.indexOf(this.chaseTargetId)
+    const next = index === -1
+      ? (step > 0 ? 0 : ids.length - 1)
+      : (index + step + ids.length) % ids.length
+    this.cameraMode = CAMERA_MODES.CHASE
+    this.chaseTargetId = ids[next]
+    if (this.onCameraModeChange) this.onCameraModeChange(this.cameraMode, this.chaseTargetId)
   }
 
   setMultiplayer(multiplayer) {
     this.multiplayer = multiplayer
   }
 
+  // Kept as the CSS string: it goes over the wire with every shot
   setProjectileColor(color) {
-    this.projectileColor = new THREE.Color(color)
+    this.projectileColor = color
   }
 
-  update(deltaTime) {
-    // Movement speed - faster on ground
-    const speedDelta = deltaTime * (this.physics.onFloor ? 25 : 8)
+  applyKnockback(impulse) {
+    if (!impulse) return
+    this.physics.applyImpulse(impulse)
+  }
 
-    // Check if moving for animation
-    this.isMoving = false
+  // Current keys and look direction, as sent to an authoritative server
+  getInput() {
+    let buttons = 0
+    if (this.keyStates['KeyW']) buttons |= INPUT_BUTTONS.FORWARD
+    if (this.keyStates['KeyS']) buttons |= INPUT_BUTTONS.BACK
+    if (this.keyStates['KeyA']) buttons |= INPUT_BUTTONS.LEFT
+    if (this.keyStates['KeyD']) buttons |= INPUT_BUTTONS.RIGHT
+    if (this.keyStates['Space']) buttons |= INPUT_BUTTONS.JUMP
+    if (this.keyStates['ShiftLeft'] || this.keyStates['ShiftRight']) buttons |= INPUT_BUTTONS.SPRINT
+    if (this.keyStates['KeyC'] || this.keyStates['ControlLeft'] || this.keyStates['ControlRight']) {
+      buttons |= INPUT_BUTTONS.CROUCH
+    }
 
-    // WASD movement
-    if (this.keyStates['KeyW']) {
-      this.physics.velocity.add(
-        this.getForwardVector().multiplyScalar(speedDelta)
-      )
-      this.isMoving = true
+    return {
+      buttons,
+      yaw: this.camera.rotation.y,
+      pitch: this.camera.rotation.x
     }
+  }
 
-    if (this.keyStates['KeyS']) {
-      this.physics.velocity.add(
-        this.getForwardVector().multiplyScalar(-speedDelta)
-      )
-      this.isMoving = true
+  // One fixed tick against an authoritative server: move with the same code the
+  // server runs and hand back the input (with any shot since the last tick) to send.
+  // The input stays in the prediction history until the server confirms it.
+  tick(deltaTime, remoteColliders = []) {
+    const input = { seq: ++this.inputSeq, ...this.getInput() }
+    if (this.pendingFire) {
+      input.fire = this.pendingFire
+      this.pendingFire = null
+    }
+    input.buttons |= this.pendingButtons
+    this.pendingButtons = 0
+    if (this.pendingReload) {
+      input.reload = this.pendingReload
+      this.pendingReload = null
     }
 
-    if (this.keyStates['KeyA']) {
-      this.physics.velocity.add(
-        this.getSideVector().multiplyScalar(-speedDelta)
-      )
-      this.isMoving = true
+    const spawns = {}
+    this.isMoving = stepPlayer(this.physics, input, deltaTime, remoteColliders, spawns)
+    this.prediction.record(input.seq, input, deltaTime, spawns)
+    return input
+  }
+
+  // Authoritative mode: have the server respawn us too, on the same tick
+  queueRespawn() {
+    this.pendingButtons |= INPUT_BUTTONS.RESPAWN
+  }
+
+  update(deltaTime, { movement = true } = {}) {
+    if (this.cameraMode === CAMERA_MODES.FREE_FLY) {
+      this.updateFreeFly(deltaTime)
+      return
+    }
+    if (this.cameraMode === CAMERA_MODES.CHASE) {
+      this.updateChase()
+      return
     }
 
-    if (this.keyStates['KeyD']) {
-      this.physics.velocity.add(
-        this.getSideVector().multiplyScalar(speedDelta)
-      )
-      this.isMoving = true
+    this.updateReload()
+
+    // Automatic weapons keep firing while the button is held
+    if (this.enabled && this.isLocked && this.mouseButtons[0] && getWeapon(this.weaponId).automatic) {
+      this.shoot()
     }
 
-    // Jump
-    if (this.keyStates['Space']) {
-      this.physics.jump()
+    // With an authoritative server, movement happens in tick() instead
+    if (movement) {
+      this.isMoving = applyMovementInput(this.physics, this.getInput(), deltaTime)
     }
 
-    // Update camera position
+    // Update camera position (drawn where we were before the last server correction, converging)
     const playerPos = this.physics.getPosition()
+    if (this.prediction) {
+      this.prediction.update(deltaTime)
+      playerPos.add(this.prediction.offset)
+    }
+    this.eyeHeight += (this.physics.height - this.eyeHeight) * (1 - Math.exp(-EYE_HEIGHT_RATE * deltaTime))
+    playerPos.y += this.eyeHeight - this.physics.height
 
     if (this.isThirdPerson) {
       // Third Person Camera Logic
@@ -279,11 +486,13 @@ export class PlayerController {
 
       const bottomPos = this.physics.collider.start.clone()
       bottomPos.y -= this.physics.collider.radius
+      if (this.prediction) bottomPos.add(this.prediction.offset)
 
       // Apply model-specific Y offset
       bottomPos.y += (this.modelYOffset || 0)
 
       this.model.position.copy(bottomPos)
+      this.model.scale.y = isCrouched(this.physics.moveState) ? CROUCHED_MODEL_SCALE : 1
 
       // Sync rotation with camera yaw (so character faces forward)
       // But only Y rotation
@@ -294,46 +503,119 @@ export class PlayerController {
     }
   }
 
+  // Fly wherever the camera looks, through walls. Space/C for straight up/down.
+  updateFreeFly(deltaTime) {
+    const speed = FLY_SPEED * (this.keyStates['ShiftLeft'] ? FLY_SPRINT_MULTIPLIER : 1) * deltaTime
+    const move = new THREE.Vector3()
+    const forward = new THREE.Vector3()
+    this.camera.getWorldDirection(forward)
+
+    if (this.keyStates['KeyW']) move.add(forward)
+    if (this.keyStates['KeyS']) move.sub(forward)
+    if (this.keyStates['KeyA']) move.sub(this.getSideVector())
+    if (this.keyStates['KeyD']) move.add(this.getSideVector())
+    if (this.keyStates['Space']) move.y += 1
+    if (this.keyStates['KeyC']) move.y -= 1
+
+    if (move.lengthSq() > 0) {
+      this.camera.position.addScaledVector(move.normalize(), speed)
+    }
+  }
+
+  // Orbit the watched player like the third person camera orbits our own body
+  updateChase() {
+    const target = this.remotePlayers?.players.get(this.chaseTargetId)
+    if (!target) {
+      // They left: move on to someone else
+      this.cycleChaseTarget(1)
+      return
+    }
+
+    const back = new THREE.Vector3(0, 0, 1).applyEuler(this.camera.rotation)
+    const cameraPos = target.mesh.position.clone()
+      .add(new THREE.Vector3(0, CHASE_HEIGHT, 0))
+      .add(back.multiplyScalar(CHASE_DISTANCE))
+
+    this.camera.position.lerp(cameraPos, 0.2)
+  }
+
   shoot() {
-    // Get shoot direction (center of screen)
+    const weapon = getWeapon(this.weaponId)
+    const now = performance.now()
+    this.updateReload(now)
+    if (this.reload || now - this.lastShotAt < weapon.fireIntervalMs) return
+
+    // Empty: a click starts the reload instead
+    const ammo = this.ammo[weapon.id]
+    if (ammo.magazine === 0) {
+      this.startReload(now)
+      return
+    }
+
+    ammo.magazine--
+    this.lastShotAt = now
+    if (ammo.magazine === 0) this.startReload(now)
+
+    // Get shoot direction (center of screen), spread the same way the server will
     this.camera.getWorldDirection(this.direction)
+    const seed = createSpreadSeed()
+    applySpread(this.direction, weapon.spread, seed)
+
+    const authoritative = this.multiplayer?.authoritative
+    const chargeMs = weapon.charge ? now - this.mouseTime : 0
+
+    // Hits are checked against the other players where we saw them, not where they are now
+    const rewindMs = this.remotePlayers ? this.remotePlayers.getShotRewindMs(this.multiplayer?.getLatency()) : 0
+    const firedAt = this.multiplayer ? this.multiplayer.serverTime() : Date.now()
+
+    if (weapon.kind === 'hitscan') {
+      const origin = this.physics.collider.end.clone()
+      const id = this.engine.nextProjectileId()
+      this.engine.fireHitscan(origin, this.direction, weapon.id, {
+        color: this.projectileColor,
+        local: true,
+        remoteColliders: this.remotePlayers ? this.remotePlayers.getRemoteColliders({ rewindMs, all: true }) : [],
+        firedAt
+      })
 
-    // Calculate spawn position
-    let spawnPos
-    if (this.isThirdPerson && this.model) {
-      // Spawn from character hand or forward if 3rd person
-      // Simplify: spawn from player position + forward
-      spawnPos = this.physics.collider.end.clone()
-      spawnPos.addScaledVector(this.direction, 1.2)
-    } else {
-      // 1st person: spawn from camera
-      spawnPos = this.physics.collider.end.clone()
-      spawnPos.addScaledVector(this.direction, 0.8) // Increased from 0.525 to 0.8 to avoid self-collision
+      if (authoritative) {
+        this.pendingFire = { id, charge: 0, color: this.projectileColor, weaponId: weapon.id, seed }
+      } else if (this.multiplayer) {
+        this.multiplayer.broadcastProjectile(origin, this.direction, this.projectileColor, id, weapon.id)
+      }
+      return
     }
 
-    // Calculate impulse based on charge time
-    const impulse = 15 + 30 * (1 - Math.exp((this.mouseTime - performance.now()) * 0.001))
-
-    // Velocity
-    const velocity = this.direction.clone().multiplyScalar(impulse)
-    velocity.addScaledVector(this.physics.velocity, 2)
+    // Spawn further out in 3rd person so the ball clears the character
+    // (an authoritative server always uses the 1st person distance)
+    const spawnDistance = this.isThirdPerson && this.model && !authoritative ? 1.2 : SHOT_SPAWN_DISTANCE
+    const { position: spawnPos, velocity } = createShot(this.physics, this.direction, chargeMs, spawnDistance, weapon)
 
     // Create local projectile
-    const sphere = this.engine.createProjectile(spawnPos, velocity, this.projectileColor)
+    const sphere = this.engine.createProjectile(spawnPos, velocity, this.projectileColor, {
+      ownerId: this.multiplayer?.userId,
+      weaponId: weapon.id,
+      rewindMs,
+      firedAt
+    })
     if (sphere) sphere.owner = 'local'
 
-    // Broadcast to other players
-    if (this.multiplayer) {
-      this.multiplayer.broadcastProjectile(spawnPos, velocity, this.projectileColor)
+    // The server fires its own copy from our next input, with the same id
+    if (authoritative) {
+      this.pendingFire = { id: sphere.projectileId, charge: Math.round(chargeMs), color: this.projectileColor, weaponId: weapon.id, seed }
+    } else if (this.multiplayer) {
+      // Broadcast to other players (same id, so host snapshots line up)
+      this.multiplayer.broadcastProjectile(spawnPos, velocity, this.projectileColor, sphere.projectileId, weapon.id)
     }
   }
 
   getState() {
-    const pos = this.physics.getPosition()
+    const pos = this.physics ? this.physics.getPosition() : this.camera.position
     return {
       position: { x: pos.x, y: pos.y, z: pos.z },
       rotation: { y: this.camera.rotation.y },
-      isMoving: this.isMoving
+      isMoving: this.isMoving,
+      moveState: this.physics ? this.physics.moveState : MOVE_STATES.WALK
     }
   }
 
@@ -343,6 +625,7 @@ export class PlayerController {
     document.removeEventListener('mousedown', this.onMouseDown)
     document.removeEventListener('mouseup', this.onMouseUp)
     document.removeEventListener('mousemove', this.onMouseMove)
+    document.removeEventListener('wheel', this.onWheel)
     document.removeEventListener('pointerlockchange', this.onPointerLockChange)
     this.domElement.removeEventListener('click', this.requestPointerLock)
   }
@@ -0,0 +1,81 @@
+import * as THREE from 'three'
+import { stepPlayer } from './movement'
+import { PLAYER_HEIGHT, CROUCH_HEIGHT, isCrouched } from './physics'
+
+// Client-side prediction for an authoritative server. Every input tick is applied
+// locally straight away and kept here until the server's state says it has been
+// processed. When that state arrives the capsule is rewound to it and the inputs
+// the server hasn't seen yet are replayed, so the player never waits for a round
+// trip. Whatever the replay moves us by is hidden with a decaying render offset
+// instead of a visible jump.
+
+const MAX_PENDING_INPUTS = 120 // 2 seconds at 60 Hz; older ones are lost anyway
+const SMOOTHING_RATE = 10 // Per second: e^(-10t) of a correction is still visible after t seconds
+const SNAP_DISTANCE = 5 // Beyond this (respawn, knocked off a ledge) just jump
+const STATS_WINDOW_MS = 1000
+
+export class ClientPrediction {
+  constructor(physics) {
+    this.physics = physics
+    this.pending = [] // [{ seq, input, deltaTime, spawns }], oldest first
+    this.offset = new THREE.Vector3() // Added to the rendered position, decays to zero
+    this.corrections = [] // [{ time, size }] within the stats window
+    this.lastCorrection = 0
+  }
+
+  // After applying an input locally; spawns as filled in by stepPlayer, so
+  // replays respawn where the first run did
+  record(seq, input, deltaTime, spawns = {}) {
+    this.pending.push({ seq, input, deltaTime, spawns })
+    if (this.pending.length > MAX_PENDING_INPUTS) this.pending.shift()
+  }
+
+  // state: our entry from 'server-state' ({ seq, position, velocity, onFloor, moveState, stamina })
+  reconcile(state, remoteColliders = [], now = performance.now()) {
+    while (this.pending.length > 0 && this.pending[0].seq <= state.seq) this.pending.shift()
+
+    const before = this.physics.getPosition()
+
+    // Capsule height first: setPosition places the top of it
+    if (state.moveState) {
+      this.physics.moveState = state.moveState
+      this.physics.setHeight(isCrouched(state.moveState) ? CROUCH_HEIGHT : PLAYER_HEIGHT)
+    }
+    if (typeof state.stamina === 'number') this.physics.stamina = state.stamina
+    this.physics.setPosition(new THREE.Vector3(state.position.x, state.position.y, state.position.z))
+    this.physics.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z)
+    if (typeof state.onFloor === 'boolean') this.physics.onFloor = state.onFloor
+
+    this.pending.forEach(({ input, deltaTime, spawns }) => {
+      stepPlayer(this.physics, input, deltaTime, remoteColliders, spawns)
+    })
+
+    // Keep drawing where we were and let the offset bleed away
+    const error = before.sub(this.physics.getPosition())
+    const size = error.length()
+    if (size > SNAP_DISTANCE) {
+      this.offset.set(0, 0, 0)
+    } else {
+      this.offset.add(error)
+    }
+
+    this.lastCorrection = size
+    this.corrections.push({ time: now, size })
+  }
+
+  update(deltaTime) {
+    this.offset.multiplyScalar(Math.exp(-SMOOTHING_RATE * deltaTime))
+    if (this.offset.lengthSq() < 1e-6) this.offset.set(0, 0, 0)
+  }
+
+  // For the net graph. Sizes in metres.
+  getStats(now = performance.now()) {
+    this.corrections = this.corrections.filter(c => now - c.time < STATS_WINDOW_MS)
+    return {
+      correction: this.lastCorrection,
+      maxCorrection: this.corrections.reduce((max, c) => Math.max(max, c.size), 0),
+      smoothing: this.offset.length(),
+      pending: this.pending.length
+    }
+  }
+}
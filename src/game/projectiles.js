@@ -0,0 +1,198 @@
+import * as THREE from 'three'
+import { damageFromSpeed } from './health.js'
+import { getWeapon, MAX_LAUNCH_SPEED } from './weapons.js'
+import { getTuningPreset, getTuningMax } from './tuning.js'
+
+// Projectile motion and collisions, shared by GameEngine and the headless room
+// simulation (server/simulation.js). A projectile here is anything with a
+// `collider` (THREE.Sphere), a `velocity` and a `weaponId` (weapons.js); the
+// engine's are meshes.
+
+export const MAX_PROJECTILES = 100
+
+// Which projectile makes room for a new one past MAX_PROJECTILES: the oldest that
+// won't explode, so a full room still agrees on every blast. -1 if they all
+// would; the oldest then goes off early rather than vanishing.
+export function findEvictable(projectiles) {
+  return projectiles.findIndex(projectile => !getWeapon(projectile.weaponId).explosion)
+}
+
+const BOUNCE = 1.5 // Fraction of the approach speed bounced back (1 = dead stop, 2 = perfect mirror)
+const OUT_OF_WORLD_Y = -50
+
+// Fraction of the projectile's approach speed transferred to a hit player
+const KNOCKBACK_FACTOR = 0.6
+// Extra upward push so hit players are lifted off the floor instead of sliding
+const KNOCKBACK_LIFT = 3
+
+const SHOOTER_VELOCITY_FACTOR = 2
+// Fastest shot anyone can fire: a fully charged launch plus the shooter's own
+// velocity at the highest maxSpeed tuning allows (see createShot)
+export const MAX_SHOT_SPEED = MAX_LAUNCH_SPEED + SHOOTER_VELOCITY_FACTOR * getTuningMax('maxSpeed')
+export const SHOT_SPAWN_DISTANCE = 0.8 // Far enough in front of the eyes not to hit ourselves
+
+const vector1 = new THREE.Vector3()
+const vector2 = new THREE.Vector3()
+const vector3 = new THREE.Vector3()
+const segment = new THREE.Line3()
+const closestPoint = new THREE.Vector3()
+const ray = new THREE.Ray()
+const pointOnRay = new THREE.Vector3()
+
+// How much of a weapon's chargeSpeed holding the button for chargeMs adds, 0..1
+export function chargeFraction(chargeMs) {
+  return 1 - Math.exp(-Math.max(0, chargeMs) * 0.001)
+}
+
+// Spawn position and velocity for a shot from physics (PlayerPhysics) along direction.
+// A tap leaves at weapon.speed, holding the button adds up to weapon.chargeSpeed more.
+export function createShot(physics, direction, chargeMs, spawnDistance = SHOT_SPAWN_DISTANCE, weapon = getWeapon()) {
+  const position = physics.collider.end.clone().addScaledVector(direction, spawnDistance)
+  const speed = weapon.speed + weapon.chargeSpeed * chargeFraction(chargeMs)
+  const velocity = direction.clone().multiplyScalar(speed)
+  velocity.addScaledVector(physics.velocity, SHOOTER_VELOCITY_FACTOR)
+  return { position, velocity }
+}
+
+// Move, bounce off the world, fall and slow down (gravity scale and drag from tuning.js)
+export function stepProjectile(projectile, deltaTime, worldOctree, tuning = getTuningPreset().values) {
+  projectile.collider.center.addScaledVector(projectile.velocity, deltaTime)
+
+  const result = worldOctree.sphereIntersect(projectile.collider)
+  if (result) {
+    projectile.velocity.addScaledVector(result.normal, -result.normal.dot(projectile.velocity) * BOUNCE)
+    projectile.collider.center.add(result.normal.multiplyScalar(result.depth))
+  } else {
+    projectile.velocity.y -= getWeapon(projectile.weaponId).gravity * tuning.projectileGravityScale * deltaTime
+  }
+
+  const damping = Math.exp(-tuning.projectileDrag * deltaTime) - 1
+  projectile.velocity.addScaledVector(projectile.velocity, damping)
+}
+
+export function isProjectileExpired(projectile, now) {
+  const isExpired = projectile.spawnTime && (now - projectile.spawnTime > projectile.lifetime)
+  return projectile.collider.center.y < OUT_OF_WORLD_Y || isExpired
+}
+
+// Bounce a projectile off a player capsule (players don't move from the bounce itself).
+// Returns null without contact, otherwise what the hit does to the player:
+// { impulse, damage, approaching } - only approaching hits should count.
+export function collideProjectileWithCapsule(projectile, start, end, radius) {
+  const center = projectile.collider.center
+
+  segment.set(start, end)
+  segment.closestPointToPoint(center, true, closestPoint)
+
+  const r = radius + projectile.collider.radius
+  const d2 = closestPoint.distanceToSquared(center)
+  if (d2 >= r * r) return null
+
+  // Normal from player to projectile; straight up if the center sits on the segment
+  const normal = vector1.subVectors(center, closestPoint).normalize()
+  if (normal.lengthSq() === 0) normal.set(0, 1, 0)
+
+  const vDotN = projectile.velocity.dot(normal)
+  const weapon = getWeapon(projectile.weaponId)
+
+  // Push the target along the approach direction (opposite of the normal)
+  const impulse = vector2.copy(normal).multiplyScalar(vDotN * KNOCKBACK_FACTOR)
+  impulse.y += KNOCKBACK_LIFT
+  impulse.multiplyScalar(weapon.knockback)
+  const hit = {
+    impulse: { x: impulse.x, y: impulse.y, z: impulse.z },
+    damage: Math.max(1, Math.round(damageFromSpeed(projectile.velocity.length()) * weapon.damage)),
+    approaching: vDotN < 0
+  }
+
+  projectile.velocity.addScaledVector(normal, -vDotN * BOUNCE)
+  center.addScaledVector(normal, r - Math.sqrt(d2))
+
+  return hit
+}
+
+// What a projectile's explosion (weapon.explosion) does to a player capsule:
+// { impulse, damage } pushing away from the blast, or null out of range
+export function collideExplosionWithCapsule(projectile, start, end, radius) {
+  const explosion = getWeapon(projectile.weaponId).explosion
+  if (!explosion) return null
+
+  const center = projectile.collider.center
+  segment.set(start, end)
+  segment.closestPointToPoint(center, true, closestPoint)
+
+  const distance = Math.max(0, closestPoint.distanceTo(center) - radius)
+  if (distance >= explosion.radius) return null
+
+  const falloff = 1 - distance / explosion.radius
+  const direction = vector1.subVectors(closestPoint, center).normalize()
+  if (direction.lengthSq() === 0) direction.set(0, 1, 0)
+
+  const impulse = vector2.copy(direction).multiplyScalar(explosion.impulse * falloff)
+  impulse.y += KNOCKBACK_LIFT * falloff
+  return {
+    impulse: { x: impulse.x, y: impulse.y, z: impulse.z },
+    damage: Math.round(explosion.damage * falloff)
+  }
+}
+
+// Hitscan shot: the first thing along the ray within weapon.range.
+// capsules: [{ id, start, end, radius }]. Returns { end: Vector3, targetId, impulse, damage },
+// targetId null (no impulse or damage) when the ray hits the world or nothing.
+export function traceHitscan(origin, direction, weapon, worldOctree, capsules = []) {
+  ray.set(origin, direction)
+  const wall = worldOctree.rayIntersect(ray)
+  let distance = wall && wall.distance < weapon.range ? wall.distance : weapon.range
+  let targetId = null
+
+  for (const capsule of capsules) {
+    const distanceSq = ray.distanceSqToSegment(capsule.start, capsule.end, pointOnRay)
+    if (distanceSq >= capsule.radius * capsule.radius) continue
+
+    const along = pointOnRay.distanceTo(origin)
+    if (along < distance) {
+      distance = along
+      targetId = capsule.id
+    }
+  }
+
+  const end = origin.clone().addScaledVector(direction, distance)
+  if (!targetId) return { end, targetId, impulse: null, damage: 0 }
+
+  const impulse = direction.clone().multiplyScalar(weapon.impulse)
+  impulse.y += KNOCKBACK_LIFT
+  return {
+    end,
+    targetId,
+    impulse: { x: impulse.x, y: impulse.y, z: impulse.z },
+    damage: weapon.damage
+  }
+}
+
+// Elastic collisions between projectiles (equal mass)
+export function collideProjectiles(projectiles) {
+  for (let i = 0, length = projectiles.length; i < length; i++) {
+    const s1 = projectiles[i]
+
+    for (let j = i + 1; j < length; j++) {
+      const s2 = projectiles[j]
+
+      const d2 = s1.collider.center.distanceToSquared(s2.collider.center)
+      const r = s1.collider.radius + s2.collider.radius
+
+      if (d2 < r * r) {
+        const normal = vector1.subVectors(s1.collider.center, s2.collider.center).normalize()
+        const v1 = vector2.copy(normal).multiplyScalar(normal.dot(s1.velocity))
+        const v2 = vector3.copy(normal).multiplyScalar(normal.dot(s2.velocity))
+
+        s1.velocity.add(v2).sub(v1)
+        s2.velocity.add(v1).sub(v2)
+
+        const d = (r - Math.sqrt(d2)) / 2
+
+        s1.collider.center.addScaledVector(normal, d)
+        s2.collider.center.addScaledVector(normal, -d)
+      }
+    }
+  }
+}
@@ -2,14 +2,40 @@ import * as THREE from 'three'
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js'
 import { MODELS, STORAGE_URL } from './constants'
+import { SnapshotBuffer, INTERPOLATION_DELAY_MS } from './interpolation'
+import { MAX_HEALTH } from './health'
+import { MOVE_STATES, isCrouched, eyeHeight } from './physics'
+
+// How far back hit checks may rewind remote players. Hits claimed from further
+// in the past than this are ruled out rather than compensated.
+export const MAX_REWIND_MS = 500
+const CAPSULE_HISTORY_MS = 1000 // Kept a little beyond MAX_REWIND_MS so rewinds can interpolate
+const REWIND_STEP_MS = 10 // Rewinds are rounded to this so projectiles can share rewound colliders
+
+// Clamp a rewind into [0, MAX_REWIND_MS] and round it to REWIND_STEP_MS
+export function roundRewindMs(ms) {
+  return Math.round(Math.min(Math.max(ms, 0), MAX_REWIND_MS) / REWIND_STEP_MS) * REWIND_STEP_MS
+}
+
+// Area of interest around the local player. Near players are interpolated and
+// animated every frame; far ones move a few times a second with their animation
+// frozen; past the fog (engine.js ends it at 50) they aren't drawn at all. Our
+// own shots still hit anyone, however far (getRemoteColliders' options.all).
+const NEAR_DISTANCE = 30
+const FOG_DISTANCE = 50
+const FAR_UPDATE_INTERVAL_MS = 200
+const INTEREST = { NEAR: 'near', FAR: 'far', HIDDEN: 'hidden' }
 
-// Interpolation factor for smooth movement
-const LERP_FACTOR = 0.15
+const PLAYER_COLLIDER_HEIGHT = 1.8
+const CROUCHED_SCALE = 0.65 // Body height while crouched or sliding
+const SPRINT_ANIMATION_SPEED = 1.5
 
 export class RemotePlayersManager {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene
-    this.players = new Map() // userId -> { mesh, targetPosition, targetRotation, username, mixer, action }
+    this.players = new Map() // userId -> { mesh, snapshots, targetPosition, targetRotation, username, mixer, action }
+    this.interpolationDelay = options.interpolationDelay ?? INTERPOLATION_DELAY_MS
+    this.sampled = { position: new THREE.Vector3(), yaw: 0 } // Reused by update()
     this.loader = new GLTFLoader()
     this.modelCache = new Map() // url -> gltf
 
@@ -87,7 +113,7 @@ export class RemotePlayersManager {
     playerGroup.add(debugMesh);
     */
 
-    // Username label
+    // Username label with health bar
     const label = this.createUsernameLabel(username)
     label.position.y = 2.0
     playerGroup.add(label)
@@ -97,7 +123,9 @@ export class RemotePlayersManager {
     // Store player data
     const playerData = {
       mesh: playerGroup,
-      targetPosition: new THREE.Vector3(safePos.x, safePos.y - 1, safePos.z),
+      snapshots: new SnapshotBuffer(), // Timestamped states for interpolation
+      capsuleHistory: [], // [{ time, position }] as rendered here, oldest first
+      targetPosition: new THREE.Vector3(safePos.x, safePos.y - 1, safePos.z), // Latest received
       targetRotation: new THREE.Euler(0, 0, 0),
       username,
       modelUrl,
@@ -105,7 +133,13 @@ export class RemotePlayersManager {
       mixer: null,
       actions: {},
       isMoving: false,
-      justJoined: true, // Flag for initial teleport
+      moveState: MOVE_STATES.WALK, // From their move packets, see applyMoveState()
+      health: MAX_HEALTH,
+      isDead: false,
+      interest: INTEREST.NEAR, // Until the first update() measures the distance
+      lastFarUpdate: 0,
+      pendingSnapshot: null, // Latest move of a far player, queued on its next throttled update
+      label,
       placeholder // Keep reference to remove later
     }
 
@@ -217,6 +251,7 @@ export class RemotePlayersManager {
         player.mesh.remove(player.placeholder)
         player.placeholder = null
       }
+      this.applyMoveState(player)
 
 
     } catch (error) {
@@ -225,27 +260,96 @@ export class RemotePlayersManager {
     }
   }
 
-  createUsernameLabel(username) {
+  createUsernameLabel(username, health = MAX_HEALTH) {
     const canvas = document.createElement('canvas')
-    const context = canvas.getContext('2d')
     canvas.width = 256
-    canvas.height = 64
+    canvas.height = 80
+
+    const texture = new THREE.CanvasTexture(canvas)
+    const material = new THREE.SpriteMaterial({ map: texture })
+    const sprite = new THREE.Sprite(material)
+    sprite.scale.set(1, 0.3125, 1)
+    sprite.userData = { canvas, texture, username, teamColor: null, health }
+
+    this.drawUsernameLabel(sprite, health)
+
+    return sprite
+  }
+
+  drawUsernameLabel(label, health = label.userData.health) {
+    const { canvas, texture, username, teamColor } = label.userData
+    const context = canvas.getContext('2d')
+    label.userData.health = health
+
+    context.clearRect(0, 0, canvas.width, canvas.height)
 
     context.fillStyle = 'rgba(0, 0, 0, 0.5)'
-    context.fillRect(0, 0, canvas.width, canvas.height)
+    context.fillRect(0, 0, canvas.width, 64)
+
+    // Team stripe
+    if (teamColor) {
+      context.fillStyle = teamColor
+      context.fillRect(0, 0, 8, 64)
+      context.fillRect(canvas.width - 8, 0, 8, 64)
+    }
 
     context.font = 'bold 32px Arial'
     context.fillStyle = 'white'
     context.textAlign = 'center'
     context.textBaseline = 'middle'
-    context.fillText(username, canvas.width / 2, canvas.height / 2)
+    context.fillText(username, canvas.width / 2, 32)
 
-    const texture = new THREE.CanvasTexture(canvas)
-    const material = new THREE.SpriteMaterial({ map: texture })
-    const sprite = new THREE.Sprite(material)
-    sprite.scale.set(1, 0.25, 1)
+    // Health bar below the name
+    const ratio = Math.max(0, Math.min(1, health / MAX_HEALTH))
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)'
+    context.fillRect(0, 66, canvas.width, 14)
+    context.fillStyle = ratio > 0.5 ? '#4ade80' : ratio > 0.25 ? '#fbbf24' : '#ef4444'
+    context.fillRect(2, 68, (canvas.width - 4) * ratio, 10)
 
-    return sprite
+    texture.needsUpdate = true
+  }
+
+  setPlayerTeam(userId, teamColor) {
+    const player = this.players.get(userId)
+    if (!player || player.label.userData.teamColor === teamColor) return
+
+    player.label.userData.teamColor = teamColor
+    this.drawUsernameLabel(player.label)
+  }
+
+  setPlayerHealth(userId, health, isDead) {
+    const player = this.players.get(userId)
+    if (!player) return
+
+    const safeHealth = Math.max(0, Math.min(MAX_HEALTH, Number(health) || 0))
+    if (safeHealth !== player.health) {
+      player.health = safeHealth
+      this.drawUsernameLabel(player.label, safeHealth)
+    }
+
+    // Dead players are hidden and can't be hit until they respawn
+    player.isDead = !!isDead
+    this.updateVisibility(player)
+  }
+
+  updateVisibility(player) {
+    player.mesh.visible = !player.isDead && player.interest !== INTEREST.HIDDEN
+  }
+
+  // Crouching and sliding squash the body, sprinting speeds up the animation and
+  // a slide holds the pose
+  applyMoveState(player) {
+    const scale = isCrouched(player.moveState) ? CROUCHED_SCALE : 1
+    if (player.model) player.model.scale.y = scale
+    if (player.placeholder) {
+      player.placeholder.scale.y = scale
+      player.placeholder.position.y = 0.9 * scale
+    }
+    if (player.mixer) {
+      player.mixer.timeScale = player.moveState === MOVE_STATES.SPRINT ? SPRINT_ANIMATION_SPEED
+        : player.moveState === MOVE_STATES.SLIDE ? 0
+          : 1
+    }
   }
 
   updatePlayer(userId, state) {
@@ -262,8 +366,8 @@ export class RemotePlayersManager {
     // Debug update position
     // console.log(`[RemotePlayers] Updating ${player.username}:`, state.position)
 
-    // Make visible on first update if it was hidden
-    if (!player.mesh.visible) player.mesh.visible = true;
+    // Make visible on first update if it was hidden (dead and out-of-sight players stay hidden)
+    this.updateVisibility(player)
 
     // Check if we need to load/update model
     if (state.modelUrl && state.modelUrl !== player.modelUrl) {
@@ -280,10 +384,15 @@ export class RemotePlayersManager {
       this.loadPlayerModel(userId, player.modelUrl, state.color || '#ffffff')
     }
 
-    // Update target position for interpolation
+    if (state.moveState && state.moveState !== player.moveState) {
+      player.moveState = state.moveState
+      this.applyMoveState(player)
+    }
+
+    // Update target position for interpolation (the position is their camera, the mesh stands on its feet)
     player.targetPosition.set(
       safePos.x,
-      safePos.y - 1, // Adjust for capsule center offset if needed (depends on model origin)
+      safePos.y - eyeHeight(player.moveState),
       safePos.z
     )
 
@@ -293,7 +402,58 @@ export class RemotePlayersManager {
     player.isMoving = dist > 0.1
 
     // Update target rotation (only Y axis for body rotation)
-    player.targetRotation.y = state.rotation.y
+    player.targetRotation.y = Number(state.rotation?.y || 0)
+
+    // Queue the snapshot; update() renders it once the interpolation delay has passed.
+    // Far players only keep the latest one until their next throttled update.
+    const snapshot = { time: Number(state.timestamp), receivedAt: Date.now() }
+    if (player.interest === INTEREST.NEAR) {
+      player.pendingSnapshot = null
+      player.snapshots.push(snapshot.time, player.targetPosition, player.targetRotation.y, snapshot.receivedAt)
+    } else {
+      player.pendingSnapshot = snapshot
+    }
+  }
+
+  // Position from the host's world state, for players we haven't had a move from yet.
+  // Not queued as a snapshot: the host's clock isn't the player's.
+  placePlayer(userId, state) {
+    const player = this.players.get(userId)
+    if (!player || player.snapshots.snapshots.length > 0) return
+
+    if (state.moveState && state.moveState !== player.moveState) {
+      player.moveState = state.moveState
+      this.applyMoveState(player)
+    }
+
+    // Eye height to feet, as in updatePlayer
+    player.targetPosition.set(state.position.x, state.position.y - eyeHeight(player.moveState), state.position.z)
+    player.targetRotation.y = state.yaw
+    player.mesh.position.copy(player.targetPosition)
+    player.mesh.rotation.y = state.yaw
+    this.setPlayerHealth(userId, state.health, state.isDead)
+  }
+
+  // Latest known state of every player, for the host's world state
+  getPlayerStates() {
+    return Array.from(this.players.entries()).map(([userId, player]) => ({
+      userId,
+      position: { x: player.targetPosition.x, y: player.targetPosition.y + eyeHeight(player.moveState), z: player.targetPosition.z },
+      yaw: player.targetRotation.y,
+      moveState: player.moveState,
+      health: player.health,
+      isDead: player.isDead
+    }))
+  }
+
+  // How far back our own shots check remote players: what we draw is the
+  // interpolation delay behind their last snapshot, which was latencyMs old on arrival
+  getShotRewindMs(latencyMs = 0) {
+    return roundRewindMs(this.interpolationDelay + latencyMs)
+  }
+
+  setInterpolationDelay(ms) {
+    this.interpolationDelay = Math.max(0, ms)
   }
 
   removePlayer(userId) {
@@ -303,6 +463,10 @@ export class RemotePlayersManager {
     this.scene.remove(player.mesh)
 
     // Dispose resources
+    if (player.label) {
+      player.label.userData.texture.dispose()
+      player.label.material.dispose()
+    }
     if (player.mixer) {
       player.mixer.stopAllAction()
     }
@@ -323,31 +487,41 @@ export class RemotePlayersManager {
     this.players.delete(userId)
   }
 
-  update(deltaTime = 0.016) {
-    // Interpolate all remote players towards their target positions
+  // viewerPosition: where the local player is (the camera for spectators), for the
+  // area of interest; everyone counts as near without it
+  update(deltaTime = 0.016, viewerPosition = null) {
+    const now = Date.now()
+    const sampled = this.sampled
+
+    // Render every remote player at the same delay in the past, interpolating between snapshots
     this.players.forEach((player) => {
-      // Position interpolation
-      if (player.justJoined) {
-        // Teleport immediately for first update
-        player.mesh.position.copy(player.targetPosition)
-        // Also sync rotation immediately
-        player.mesh.rotation.y = player.targetRotation.y
-        player.justJoined = false
-      } else {
-        player.mesh.position.lerp(player.targetPosition, LERP_FACTOR)
+      player.interest = this.getInterest(player, viewerPosition)
+      this.updateVisibility(player)
 
-        // Rotation interpolation (Y axis only)
-        const currentY = player.mesh.rotation.y
-        let targetY = player.targetRotation.y
+      const isNear = player.interest === INTEREST.NEAR
+      if (!isNear) {
+        if (now - player.lastFarUpdate < FAR_UPDATE_INTERVAL_MS) return
+        player.lastFarUpdate = now
+      }
+
+      if (player.pendingSnapshot) {
+        const { time, receivedAt } = player.pendingSnapshot
+        player.snapshots.push(time, player.targetPosition, player.targetRotation.y, receivedAt)
+        player.pendingSnapshot = null
+      }
 
-        // Shortest path interpolation for angle
-        const delta = targetY - currentY
-        if (delta > Math.PI) targetY -= Math.PI * 2
-        if (delta < -Math.PI) targetY += Math.PI * 2
+      const renderTime = player.snapshots.getRenderTime(this.interpolationDelay, now)
 
-        player.mesh.rotation.y += (targetY - currentY) * LERP_FACTOR
+      if (player.snapshots.sample(renderTime, sampled)) {
+        player.mesh.position.copy(sampled.position)
+        player.mesh.rotation.y = sampled.yaw
       }
 
+      this.recordCapsule(player, now)
+
+      // Far players hold their pose
+      if (!isNear) return
+
       // Update Animation
       if (player.mixer) {
         player.mixer.update(deltaTime)
@@ -376,36 +550,74 @@ export class RemotePlayersManager {
     return this.players.size
   }
 
-  getRemoteColliders() {
+  getInterest(player, viewerPosition) {
+    if (!viewerPosition) return INTEREST.NEAR
+
+    const distanceSq = player.mesh.position.distanceToSquared(viewerPosition)
+    if (distanceSq <= NEAR_DISTANCE * NEAR_DISTANCE) return INTEREST.NEAR
+    if (distanceSq <= FOG_DISTANCE * FOG_DISTANCE) return INTEREST.FAR
+    return INTEREST.HIDDEN
+  }
+
+  // Where each player was drawn, so hits can be checked against what a shooter saw
+  recordCapsule(player, now) {
+    const history = player.capsuleHistory
+    history.push({ time: now, position: player.mesh.position.clone() })
+    while (history.length > 2 && history[1].time < now - CAPSULE_HISTORY_MS) history.shift()
+  }
+
+  // Rendered position at a past local time, interpolated between recorded frames
+  getPositionAt(player, time, out = new THREE.Vector3()) {
+    const history = player.capsuleHistory
+    if (history.length === 0 || time >= history[history.length - 1].time) return out.copy(player.mesh.position)
+    if (time <= history[0].time) return out.copy(history[0].position)
+
+    let i = history.length - 2
+    while (i > 0 && history[i].time > time) i--
+    const from = history[i]
+    const to = history[i + 1]
+    return out.lerpVectors(from.position, to.position, (time - from.time) / (to.time - from.time))
+  }
+
+  // Capsules of the near players only, for bumping into them.
+  // options.rewindMs: capsules as they were drawn that long ago (clamped to MAX_REWIND_MS)
+  // options.all: far and hidden players too (hit tests for our own shots, choosing a spawn point)
+  getRemoteColliders({ rewindMs = 0, all = false } = {}) {
     const colliders = []
-    this.players.forEach((player) => {
+    const rewindTo = Date.now() - Math.min(rewindMs, MAX_REWIND_MS)
+    this.players.forEach((player, userId) => {
+      if (player.isDead || (!all && player.interest !== INTEREST.NEAR)) return
+
+      const position = rewindMs > 0 ? this.getPositionAt(player, rewindTo) : player.mesh.position
+
       // Validate position
       if (
-        isNaN(player.mesh.position.x) ||
-        isNaN(player.mesh.position.y) ||
-        isNaN(player.mesh.position.z) ||
-        !isFinite(player.mesh.position.x) ||
-        !isFinite(player.mesh.position.y) ||
-        !isFinite(player.mesh.position.z)
+        isNaN(position.x) ||
+        isNaN(position.y) ||
+        isNaN(position.z) ||
+        !isFinite(position.x) ||
+        !isFinite(position.y) ||
+        !isFinite(position.z)
       ) {
-        console.warn(`[RemotePlayers] Skipping collider for ${player.username} - Invalid position:`, player.mesh.position);
+        console.warn(`[RemotePlayers] Skipping collider for ${player.username} - Invalid position:`, position);
         return;
       }
 
       // Create segment for capsule
       const radius = player.radius || 0.35
-      const height = 1.8 // Standard height
+      const height = PLAYER_COLLIDER_HEIGHT * (isCrouched(player.moveState) ? CROUCHED_SCALE : 1)
 
       // Capsule segment starts at radius up and ends at height-radius up
-      const start = new THREE.Vector3(player.mesh.position.x, player.mesh.position.y + radius, player.mesh.position.z)
-      const end = new THREE.Vector3(player.mesh.position.x, player.mesh.position.y + height - radius, player.mesh.position.z)
+      const start = new THREE.Vector3(position.x, position.y + radius, position.z)
+      const end = new THREE.Vector3(position.x, position.y + height - radius, position.z)
 
       colliders.push({
-        id: player.username,
+        id: userId,
+        username: player.username,
         start: start,
         end: end,
         radius: radius,
-        position: player.mesh.position, // Keep for backward compatibility/fallback
+        position: position, // Keep for backward compatibility/fallback
         height: height
       })
     })
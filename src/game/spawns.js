@@ -0,0 +1,96 @@
+import * as THREE from 'three'
+import { PLAYER_RADIUS, PLAYER_HEIGHT } from './physics.js'
+
+// Spawn points, shared by the client and the headless room simulation
+// (server/simulation.js), so imports keep their .js extension.
+//
+// A map marks its spawns with empties named spawn_* (spawn_1, spawn_red_2, ...).
+// A custom property "team" on the empty (userData.team in three.js) keeps it for
+// that team in team modes; untagged points are for everyone. Maps without any
+// fall back to the x/z spawns in MAPS (constants.js), dropped onto the floor.
+// Positions are the player's feet.
+
+export const SPAWN_PREFIX = 'spawn_'
+const SPAWN_CLEARANCE = 0.3 // Extra room around another capsule before a point counts as blocked
+const DROP_HEIGHT = 50
+
+// Empties named spawn_* in a loaded GLB scene
+export function readSpawnPoints(root) {
+  const points = []
+  root.updateMatrixWorld(true)
+  root.traverse((child) => {
+    if (!child.name || !child.name.toLowerCase().startsWith(SPAWN_PREFIX)) return
+    const team = typeof child.userData?.team === 'string' ? child.userData.team.toLowerCase() : null
+    const position = child.getWorldPosition(new THREE.Vector3())
+    points.push({ name: child.name, team, position: { x: position.x, y: position.y, z: position.z } })
+  })
+  return points
+}
+
+// Map-definition spawns ([{ x, z, team? }]) dropped straight down onto the world
+export function dropSpawnPoints(spawnsXZ = [], worldOctree) {
+  const ray = new THREE.Ray(new THREE.Vector3(), new THREE.Vector3(0, -1, 0))
+  return spawnsXZ.map(({ x, z, team = null }, i) => {
+    ray.origin.set(x, DROP_HEIGHT, z)
+    const hit = worldOctree.rayIntersect(ray)
+    return { name: `${SPAWN_PREFIX}${i + 1}`, team, position: { x, y: hit ? hit.position.y : 0, z } }
+  })
+}
+
+// Squared distance from a point to the segment a-b
+function distanceToSegmentSq(point, a, b) {
+  const abx = b.x - a.x, aby = b.y - a.y, abz = b.z - a.z
+  const lengthSq = abx * abx + aby * aby + abz * abz
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((point.x - a.x) * abx + (point.y - a.y) * aby + (point.z - a.z) * abz) / lengthSq))
+    : 0
+  const dx = point.x - (a.x + abx * t)
+  const dy = point.y - (a.y + aby * t)
+  const dz = point.z - (a.z + abz * t)
+  return dx * dx + dy * dy + dz * dz
+}
+
+// Would a player standing on point overlap the capsule { start, end, radius }?
+function isBlocked(point, capsule) {
+  const reach = PLAYER_RADIUS + (capsule.radius || PLAYER_RADIUS) + SPAWN_CLEARANCE
+  const bottom = { x: point.x, y: point.y + PLAYER_RADIUS, z: point.z }
+  const top = { x: point.x, y: bottom.y + PLAYER_HEIGHT, z: point.z }
+  return Math.min(
+    distanceToSegmentSq(bottom, capsule.start, capsule.end),
+    distanceToSegmentSq(top, capsule.start, capsule.end),
+    distanceToSegmentSq(capsule.start, bottom, top)
+  ) < reach * reach
+}
+
+// Pick where to put a player.
+//   team: their team in team modes (points tagged for the other team are skipped)
+//   enemies: [{ x, y, z }] of players to keep away from
+//   occupied: capsules ({ start, end, radius }) of everyone else alive
+// Free points come first, then the one whose nearest enemy is farthest away.
+// Ties go to the earlier point, so a replay of the same respawn lands in the
+// same place. Returns a position, or null without any points.
+export function chooseSpawnPoint(points, { team = null, enemies = [], occupied = [] } = {}) {
+  if (points.length === 0) return null
+
+  const ours = points.filter(point => !point.team || !team || point.team === team)
+  const candidates = ours.length > 0 ? ours : points
+
+  let best = null
+  let bestFree = false
+  let bestDistance = -1
+  candidates.forEach(({ position }) => {
+    const free = !occupied.some(capsule => isBlocked(position, capsule))
+    const distance = enemies.reduce((min, enemy) => {
+      const dx = enemy.x - position.x, dy = enemy.y - position.y, dz = enemy.z - position.z
+      return Math.min(min, dx * dx + dy * dy + dz * dz)
+    }, Infinity)
+
+    if (best && (bestFree && !free)) return
+    if (best && bestFree === free && distance <= bestDistance) return
+    best = position
+    bestFree = free
+    bestDistance = distance
+  })
+
+  return { x: best.x, y: best.y, z: best.z }
+}
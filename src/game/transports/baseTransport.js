@@ -0,0 +1,82 @@
+// Shared bookkeeping for realtime transports.
+//
+// Every transport exposes the same small surface that MultiplayerManager relies on:
+//   subscribe(statusCallback)  -> statuses: SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT, CLOSED
+//   track(meta) / untrack()    -> presence for the local client
+//   presenceState()            -> { [presenceKey]: [meta, ...] }
+//   send(event, payload)       -> broadcast to every other client in the room
+//   on(event, handler)         -> handler(payload, sender) for broadcast events; sender is
+//                                 who sent it where the server vouches for that, else null
+//   onPresence(event, handler) -> 'sync' | 'join' ({ key, newPresences }) | 'leave' ({ key, leftPresences })
+//   close()
+//   authoritative              -> true once subscribed to a server that simulates the room
+//   ordersPresence             -> true if the server stamps presences with a join_order
+//
+// The presence helpers below mirror Supabase's presence events so adapters that
+// have to emulate presence themselves behave the same way.
+export class BaseTransport {
+  constructor(roomId, options = {}) {
+    this.roomId = roomId
+    this.presenceKey = options.presenceKey
+    this.broadcastHandlers = new Map() // event -> [handler]
+    this.presenceHandlers = new Map() // 'sync' | 'join' | 'leave' -> [handler]
+    this.presences = new Map() // presenceKey -> meta
+    this.statusCallback = null
+    this.authoritative = false
+    this.ordersPresence = false
+  }
+
+  on(event, handler) {
+    if (!this.broadcastHandlers.has(event)) this.broadcastHandlers.set(event, [])
+    this.broadcastHandlers.get(event).push(handler)
+    return this
+  }
+
+  onPresence(event, handler) {
+    if (!this.presenceHandlers.has(event)) this.presenceHandlers.set(event, [])
+    this.presenceHandlers.get(event).push(handler)
+    return this
+  }
+
+  presenceState() {
+    const state = {}
+    this.presences.forEach((meta, key) => {
+      state[key] = [meta]
+    })
+    return state
+  }
+
+  emitStatus(status) {
+    if (this.statusCallback) this.statusCallback(status)
+  }
+
+  emitBroadcast(event, payload, sender = null) {
+    const handlers = this.broadcastHandlers.get(event)
+    if (!handlers) return
+    handlers.forEach(handler => handler(payload, sender))
+  }
+
+  emitPresence(event, data) {
+    const handlers = this.presenceHandlers.get(event)
+    if (!handlers) return
+    handlers.forEach(handler => handler(data))
+  }
+
+  presenceJoin(key, meta) {
+    this.presences.set(key, meta)
+    this.emitPresence('join', { key, newPresences: [meta] })
+    this.emitPresence('sync')
+  }
+
+  presenceLeave(key) {
+    const meta = this.presences.get(key)
+    if (!meta) return
+    this.presences.delete(key)
+    this.emitPresence('leave', { key, leftPresences: [meta] })
+    this.emitPresence('sync')
+  }
+
+  presenceClear() {
+    Array.from(this.presences.keys()).forEach(key => this.presenceLeave(key))
+  }
+}
@@ -0,0 +1,117 @@
+import { BaseTransport } from './baseTransport'
+
+// How often we re-announce our presence, and how long before a silent peer is dropped.
+// Tabs that crash or get killed never send 'untrack', so presence has to expire on its own.
+const HEARTBEAT_INTERVAL_MS = 2000
+const PRESENCE_TIMEOUT_MS = 6000
+
+// In-process transport for several tabs of the same browser (no network at all)
+export class BroadcastChannelTransport extends BaseTransport {
+  constructor(roomId, options = {}) {
+    super(roomId, options)
+    this.bc = null
+    this.localMeta = null
+    this.lastSeen = new Map() // presenceKey -> timestamp
+    this.heartbeatId = null
+
+    this.onMessage = this.onMessage.bind(this)
+  }
+
+  subscribe(callback) {
+    this.statusCallback = callback
+
+    if (typeof BroadcastChannel === 'undefined') {
+      setTimeout(() => this.emitStatus('CHANNEL_ERROR'), 0)
+      return this
+    }
+
+    this.bc = new BroadcastChannel(`lets-fps:${this.roomId}`)
+    this.bc.addEventListener('message', this.onMessage)
+
+    // Ask the other tabs to announce themselves
+    this.post({ type: 'hello', key: this.presenceKey })
+
+    this.heartbeatId = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL_MS)
+
+    setTimeout(() => this.emitStatus('SUBSCRIBED'), 0)
+    return this
+  }
+
+  post(message) {
+    if (this.bc) this.bc.postMessage(message)
+  }
+
+  onMessage(event) {
+    const message = event.data
+    if (!message || message.key === this.presenceKey) return
+
+    switch (message.type) {
+      case 'broadcast':
+        this.emitBroadcast(message.event, message.payload)
+        break
+      case 'hello':
+        if (this.localMeta) this.post({ type: 'track', key: this.presenceKey, meta: this.localMeta })
+        break
+      case 'track': {
+        const isNew = !this.presences.has(message.key)
+        const changed = isNew || JSON.stringify(this.presences.get(message.key)) !== JSON.stringify(message.meta)
+        this.lastSeen.set(message.key, Date.now())
+        if (changed) this.presenceJoin(message.key, message.meta)
+        break
+      }
+      case 'untrack':
+        this.lastSeen.delete(message.key)
+        this.presenceLeave(message.key)
+        break
+    }
+  }
+
+  heartbeat() {
+    if (this.localMeta) this.post({ type: 'track', key: this.presenceKey, meta: this.localMeta })
+
+    // Expire peers that stopped announcing
+    const now = Date.now()
+    this.lastSeen.forEach((seenAt, key) => {
+      if (now - seenAt > PRESENCE_TIMEOUT_MS) {
+        this.lastSeen.delete(key)
+        this.presenceLeave(key)
+      }
+    })
+  }
+
+  async track(meta) {
+    this.localMeta = meta
+    this.presenceJoin(this.presenceKey, meta)
+    this.post({ type: 'track', key: this.presenceKey, meta })
+    return 'ok'
+  }
+
+  async untrack() {
+    if (!this.localMeta) return 'ok'
+    this.localMeta = null
+    this.presenceLeave(this.presenceKey)
+    this.post({ type: 'untrack', key: this.presenceKey })
+    return 'ok'
+  }
+
+  async send(event, payload) {
+    if (!this.bc) return 'error'
+    this.post({ type: 'broadcast', key: this.presenceKey, event, payload })
+    return 'ok'
+  }
+
+  async close() {
+    if (this.heartbeatId) {
+      clearInterval(this.heartbeatId)
+      this.heartbeatId = null
+    }
+    if (this.bc) {
+      this.bc.removeEventListener('message', this.onMessage)
+      this.bc.close()
+      this.bc = null
+    }
+    this.lastSeen.clear()
+    this.presences.clear()
+    this.emitStatus('CLOSED')
+  }
+}
@@ -0,0 +1,27 @@
+import { SupabaseTransport } from './supabaseTransport'
+import { BroadcastChannelTransport } from './broadcastChannelTransport'
+import { WebSocketTransport } from './webSocketTransport'
+
+// Select with VITE_REALTIME_TRANSPORT:
+//   'supabase' (default) - hosted Supabase Realtime
+//   'local'              - BroadcastChannel between tabs of one browser
+//   'ws'                 - local Node relay (npm run relay), URL from VITE_RELAY_URL
+export const TRANSPORTS = {
+  supabase: SupabaseTransport,
+  local: BroadcastChannelTransport,
+  ws: WebSocketTransport
+}
+
+export function createTransport(roomId, options = {}) {
+  const kind = options.kind || import.meta.env.VITE_REALTIME_TRANSPORT || 'supabase'
+  const Transport = TRANSPORTS[kind]
+
+  if (!Transport) {
+    throw new Error(`Unknown realtime transport: ${kind}`)
+  }
+
+  return new Transport(roomId, {
+    url: import.meta.env.VITE_RELAY_URL,
+    ...options
+  })
+}
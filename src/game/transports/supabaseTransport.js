@@ -0,0 +1,53 @@
+import { supabase } from '../../lib/supabase'
+import { BaseTransport } from './baseTransport'
+
+// Hosted Supabase Realtime channel (the default transport)
+export class SupabaseTransport extends BaseTransport {
+  constructor(roomId, options = {}) {
+    super(roomId, options)
+
+    this.channel = supabase.channel(roomId, {
+      config: {
+        presence: { key: this.presenceKey },
+        broadcast: { ack: false, self: false }
+      }
+    })
+  }
+
+  // Supabase requires listeners to be registered before subscribe()
+  on(event, handler) {
+    this.channel.on('broadcast', { event }, (message) => handler(message.payload))
+    return this
+  }
+
+  onPresence(event, handler) {
+    this.channel.on('presence', { event }, handler)
+    return this
+  }
+
+  presenceState() {
+    return this.channel.presenceState()
+  }
+
+  subscribe(callback) {
+    this.statusCallback = callback
+    this.channel.subscribe((status) => this.emitStatus(status))
+    return this
+  }
+
+  track(meta) {
+    return this.channel.track(meta)
+  }
+
+  untrack() {
+    return this.channel.untrack()
+  }
+
+  send(event, payload) {
+    return this.channel.send({ type: 'broadcast', event, payload })
+  }
+
+  async close() {
+    await supabase.removeChannel(this.channel)
+  }
+}
@@ -0,0 +1,105 @@
+import { BaseTransport } from './baseTransport.js'
+
+const DEFAULT_RELAY_URL = 'ws://localhost:8787'
+
+// Transport for the local Node relay (server/relay.js).
+// The relay owns presence, so we only mirror what it tells us.
+export class WebSocketTransport extends BaseTransport {
+  constructor(roomId, options = {}) {
+    super(roomId, options)
+    this.url = options.url || DEFAULT_RELAY_URL
+    this.socket = null
+    this.isClosing = false
+    this.ordersPresence = true // The relay stamps join_order
+  }
+
+  subscribe(callback) {
+    this.statusCallback = callback
+
+    try {
+      this.socket = new WebSocket(this.url)
+    } catch (err) {
+      console.error('[WebSocketTransport] Failed to open socket:', err)
+      setTimeout(() => this.emitStatus('CHANNEL_ERROR'), 0)
+      return this
+    }
+
+    this.socket.addEventListener('open', () => {
+      this.socket.send(JSON.stringify({ type: 'join', room: this.roomId, key: this.presenceKey }))
+    })
+
+    this.socket.addEventListener('message', (event) => {
+      let message
+      try {
+        message = JSON.parse(event.data)
+      } catch {
+        return
+      }
+      this.handleMessage(message)
+    })
+
+    this.socket.addEventListener('error', () => {
+      this.emitStatus('CHANNEL_ERROR')
+    })
+
+    this.socket.addEventListener('close', () => {
+      this.socket = null
+      this.presences.clear()
+      this.emitStatus('CLOSED')
+    })
+
+    return this
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'joined':
+        this.authoritative = !!message.authoritative
+        this.emitStatus('SUBSCRIBED')
+        break
+      case 'broadcast':
+        // The relay stamps each client's broadcasts with its presence key
+        this.emitBroadcast(message.event, message.payload, typeof message.from === 'string' ? message.from : null)
+        break
+      case 'presence':
+        if (message.event === 'join') {
+          this.presenceJoin(message.key, message.meta)
+        } else if (message.event === 'leave') {
+          this.presenceLeave(message.key)
+        } else if (message.event === 'sync') {
+          // Full state replaces whatever we had (e.g. right after joining). The relay
+          // sends { key: [meta] } like presenceState(); we keep one meta per key.
+          this.presences = new Map(Object.entries(message.state || {})
+            .filter(([, metas]) => Array.isArray(metas) && metas[0])
+            .map(([key, metas]) => [key, metas[0]]))
+          this.emitPresence('sync')
+        }
+        break
+    }
+  }
+
+  sendRaw(message) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return false
+    this.socket.send(JSON.stringify(message))
+    return true
+  }
+
+  async track(meta) {
+    return this.sendRaw({ type: 'track', meta }) ? 'ok' : 'error'
+  }
+
+  async untrack() {
+    return this.sendRaw({ type: 'untrack' }) ? 'ok' : 'error'
+  }
+
+  async send(event, payload) {
+    return this.sendRaw({ type: 'broadcast', event, payload }) ? 'ok' : 'error'
+  }
+
+  async close() {
+    if (this.socket) {
+      this.socket.close()
+      this.socket = null
+    }
+  }
+}
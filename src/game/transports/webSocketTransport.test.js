@@ -0,0 +1,77 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { WebSocket } from 'ws'
+import { createRelay } from '../../../server/relay.js'
+import { WebSocketTransport } from './webSocketTransport.js'
+import { electHost } from '../hostElection.js'
+
+globalThis.WebSocket ??= WebSocket // Node 20 has no WebSocket of its own
+
+const relay = createRelay({ port: 0, log: () => {} })
+const url = `ws://localhost:${relay.wss.address().port}`
+const transports = []
+
+after(async () => {
+  await Promise.all(transports.map(transport => transport.close()))
+  await relay.close()
+})
+
+// Resolves with presenceState() as soon as ready(presenceState()) is true
+function waitForPresence(transport, ready) {
+  return new Promise((resolve) => {
+    const check = () => {
+      const state = transport.presenceState()
+      if (ready(state)) resolve(state)
+    }
+    transport.onPresence('sync', check)
+    check()
+  })
+}
+
+// Subscribe to the room and track meta, resolving once we are in our own presence
+async function join(roomId, key, meta) {
+  const transport = new WebSocketTransport(roomId, { url, presenceKey: key })
+  transports.push(transport)
+  const tracked = waitForPresence(transport, state => key in state)
+  await new Promise((resolve) => {
+    transport.subscribe((status) => {
+      if (status === 'SUBSCRIBED') resolve()
+    })
+  })
+  await transport.track(meta)
+  await tracked
+  return transport
+}
+
+test('presenceState() has one meta per key for members who were there first', async () => {
+  await join('shape', 'alice', { user_id: 'alice', username: 'Alice', color: '#ff0000' })
+  const bob = await join('shape', 'bob', { user_id: 'bob', username: 'Bob', color: '#0000ff' })
+
+  const state = bob.presenceState()
+  assert.deepEqual(Object.keys(state).sort(), ['alice', 'bob'])
+  for (const [key, presences] of Object.entries(state)) {
+    assert.equal(presences.length, 1)
+    assert.equal(presences[0].user_id, key)
+    assert.ok(Number.isInteger(presences[0].join_order))
+  }
+  assert.equal(state.alice[0].username, 'Alice')
+  assert.equal(state.alice[0].color, '#ff0000')
+})
+
+test('everyone elects the first to join as host, then the next in line', async () => {
+  const carol = await join('election', 'carol', { user_id: 'carol', username: 'Carol' })
+  const alice = await join('election', 'alice', { user_id: 'alice', username: 'Alice' })
+  const bob = await join('election', 'bob', { user_id: 'bob', username: 'Bob' })
+
+  // Ordered by joining, not by user id
+  for (const transport of [carol, alice, bob]) {
+    await waitForPresence(transport, state => Object.keys(state).length === 3)
+    assert.equal(electHost(transport.presenceState(), { serverOrdered: transport.ordersPresence }), 'carol')
+  }
+
+  const left = Promise.all([alice, bob].map(transport => waitForPresence(transport, state => !('carol' in state))))
+  await carol.close()
+  for (const state of await left) {
+    assert.equal(electHost(state, { serverOrdered: true }), 'alice')
+  }
+})
@@ -0,0 +1,117 @@
+// Movement and physics values. Every PlayerPhysics, GameEngine and RoomSimulation
+// holds one of these objects and reads it each step, so changing a field in place
+// (the tuning panel) takes effect straight away.
+//
+// A room picks a preset in its settings (lobby.js), so everyone in it, and the
+// authoritative relay, simulates with the same numbers. Edits from the panel stay
+// on the client that made them. Shared with server/simulation.js: no imports.
+
+const DEFAULT_VALUES = {
+  gravity: 30, // m/s²
+  jumpVelocity: 15, // m/s
+  groundFriction: 4, // Per second, e^(-4t) of the speed is left after t seconds
+  airFriction: 0.4, // Per second, in the air
+  maxSpeed: 50, // m/s, terminal velocity (validation.js clamps reported velocities to getTuningMax)
+  groundAcceleration: 25, // m/s², walking tops out at acceleration / friction
+  airAcceleration: 8,
+  sprintMultiplier: 1.6, // Of the ground acceleration
+  crouchMultiplier: 0.5,
+  sprintSeconds: 4, // A full bar of stamina
+  staminaRecoverySeconds: 6, // Empty to full
+  slideMinSpeed: 7, // m/s across the ground to start a slide
+  slideBoost: 3, // m/s added along the slide as it starts
+  slideFriction: 0.8,
+  slideStopSpeed: 3,
+  slideMaxSeconds: 1.2,
+  projectileGravityScale: 1, // Times each weapon's own gravity (weapons.js)
+  projectileDrag: 1.5 // Per second, like groundFriction
+}
+
+export const TUNING_PRESETS = {
+  default: {
+    id: 'default',
+    name: 'Default',
+    values: DEFAULT_VALUES
+  },
+  'low-gravity': {
+    id: 'low-gravity',
+    name: 'Low Gravity',
+    values: {
+      ...DEFAULT_VALUES,
+      gravity: 10,
+      jumpVelocity: 10, // Slower to rise and fall, and a little higher than default
+      airAcceleration: 12,
+      projectileGravityScale: 0.33,
+      projectileDrag: 0.5
+    }
+  },
+  arcade: {
+    id: 'arcade',
+    name: 'Arcade',
+    values: {
+      ...DEFAULT_VALUES,
+      gravity: 40,
+      jumpVelocity: 16,
+      groundFriction: 8,
+      groundAcceleration: 64, // Faster than default and at full speed almost at once
+      airAcceleration: 20,
+      sprintSeconds: 8,
+      staminaRecoverySeconds: 3,
+      slideBoost: 5,
+      slideFriction: 0.5
+    }
+  }
+}
+
+export const DEFAULT_TUNING = 'default'
+
+// What the tuning panel shows, in order
+export const TUNING_FIELDS = [
+  { key: 'gravity', label: 'Gravity', min: 0, max: 60, step: 1 },
+  { key: 'jumpVelocity', label: 'Jump velocity', min: 0, max: 30, step: 0.5 },
+  { key: 'groundFriction', label: 'Ground friction', min: 0, max: 20, step: 0.1 },
+  { key: 'airFriction', label: 'Air friction', min: 0, max: 5, step: 0.05 },
+  { key: 'maxSpeed', label: 'Max speed', min: 1, max: 50, step: 1 },
+  { key: 'groundAcceleration', label: 'Ground acceleration', min: 0, max: 120, step: 1 },
+  { key: 'airAcceleration', label: 'Air acceleration', min: 0, max: 60, step: 1 },
+  { key: 'sprintMultiplier', label: 'Sprint multiplier', min: 1, max: 4, step: 0.1 },
+  { key: 'crouchMultiplier', label: 'Crouch multiplier', min: 0, max: 1, step: 0.05 },
+  { key: 'sprintSeconds', label: 'Sprint seconds', min: 0.5, max: 30, step: 0.5 },
+  { key: 'staminaRecoverySeconds', label: 'Stamina recovery seconds', min: 0.5, max: 30, step: 0.5 },
+  { key: 'slideMinSpeed', label: 'Slide min speed', min: 0, max: 20, step: 0.5 },
+  { key: 'slideBoost', label: 'Slide boost', min: 0, max: 15, step: 0.5 },
+  { key: 'slideFriction', label: 'Slide friction', min: 0, max: 5, step: 0.05 },
+  { key: 'slideStopSpeed', label: 'Slide stop speed', min: 0, max: 10, step: 0.5 },
+  { key: 'slideMaxSeconds', label: 'Slide max seconds', min: 0.1, max: 5, step: 0.1 },
+  { key: 'projectileGravityScale', label: 'Projectile gravity', min: 0, max: 3, step: 0.05 },
+  { key: 'projectileDrag', label: 'Projectile drag', min: 0, max: 5, step: 0.05 }
+]
+
+// Unknown or missing ids (older rooms) are the default preset
+export function getTuningPreset(presetId) {
+  return TUNING_PRESETS[presetId] || TUNING_PRESETS[DEFAULT_TUNING]
+}
+
+// Largest value a field can take in any preset or from the tuning panel
+export function getTuningMax(key) {
+  const field = TUNING_FIELDS.find(f => f.key === key)
+  return Math.max(field ? field.max : -Infinity, ...Object.values(TUNING_PRESETS).map(preset => preset.values[key]))
+}
+
+// A fresh, editable copy of a preset's values
+export function createTuning(presetId = DEFAULT_TUNING) {
+  return { ...getTuningPreset(presetId).values }
+}
+
+// Overwrite tuning in place with a preset, keeping every holder of the object in step
+export function applyTuningPreset(tuning, presetId) {
+  return Object.assign(tuning, getTuningPreset(presetId).values)
+}
+
+// One field from the tuning panel, kept inside its TUNING_FIELDS range
+export function setTuningValue(tuning, key, value) {
+  const field = TUNING_FIELDS.find(f => f.key === key)
+  if (!field || !Number.isFinite(value)) return tuning
+  tuning[key] = Math.min(field.max, Math.max(field.min, value))
+  return tuning
+}
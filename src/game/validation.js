@@ -0,0 +1,438 @@
+import { MAX_HEALTH } from './health.js'
+import { WEAPON_IDS } from './weapons.js'
+import { MOVE_STATES } from './physics.js'
+import { MAX_SHOT_SPEED } from './projectiles.js'
+import { getTuningMax } from './tuning.js'
+
+// Validation and rate limiting for incoming broadcasts. Anyone in a room can
+// send anything, so every payload is checked against its event's schema before
+// it reaches Game.jsx: unknown fields are dropped, numbers are clamped into
+// sane ranges and non-finite values are rejected outright.
+//
+// The relay (server/relay.js) runs the same checks on player inputs, so this
+// file and its imports must stay loadable by Node.
+
+const WORLD_LIMIT = 1000 // Metres from the origin, far beyond any map
+const MAX_PROJECTILE_SPEED = MAX_SHOT_SPEED
+const MAX_IMPULSE = 100
+const MAX_DAMAGE = 50 // Same cap as damageFromSpeed
+const MAX_MATCH_STATE_BYTES = 16 * 1024
+const MAX_PROJECTILES = 100 // Same cap as the engine
+const MAX_PLAYERS = 64
+const MAX_PLAYER_SPEED = getTuningMax('maxSpeed') // PlayerPhysics clamps to it every step, slides and knockback included
+const MAX_CHARGE_MS = 60000
+const MAX_PROJECTILE_LIFETIME_MS = 40000 // Longest lifetimeMs in weapons.js
+
+// Peers that keep misbehaving are ignored for a while
+const STRIKE_LIMIT = 50
+const STRIKE_WINDOW_MS = 10000
+const BLOCK_DURATION_MS = 30000
+const LOG_INTERVAL_MS = 10000
+
+// Field types. Each returns { value } or { error }.
+const id = { type: 'string', maxLength: 64 }
+const timestamp = { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER }
+const optional = (field) => ({ ...field, optional: true })
+const weaponId = { type: 'enum', values: WEAPON_IDS }
+
+const identity = {
+  type: 'object',
+  fields: {
+    username: optional({ type: 'string', maxLength: 32 }),
+    color: optional({ type: 'string', maxLength: 32 }),
+    modelUrl: optional({ type: 'string', maxLength: 256 })
+  }
+}
+
+const projectile = {
+  type: 'object',
+  fields: {
+    id: { type: 'string', maxLength: 32 },
+    ownerId: optional(id),
+    weaponId: optional(weaponId),
+    position: { type: 'vec3', limit: WORLD_LIMIT },
+    velocity: { type: 'vec3', maxLength: MAX_PROJECTILE_SPEED },
+    color: optional({ type: 'string', maxLength: 32 }),
+    remaining: { type: 'number', min: 0, max: MAX_PROJECTILE_LIFETIME_MS }
+  }
+}
+
+const playerState = {
+  type: 'object',
+  fields: {
+    userId: id,
+    position: { type: 'vec3', limit: WORLD_LIMIT },
+    yaw: { type: 'number', min: -Math.PI, max: Math.PI },
+    moveState: optional({ type: 'enum', values: Object.values(MOVE_STATES) }),
+    health: { type: 'number', min: 0, max: MAX_HEALTH },
+    isDead: { type: 'boolean' }
+  }
+}
+
+const serverPlayerState = {
+  type: 'object',
+  fields: {
+    userId: id,
+    position: { type: 'vec3', limit: WORLD_LIMIT },
+    velocity: { type: 'vec3', maxLength: MAX_PLAYER_SPEED },
+    yaw: { type: 'number' },
+    isMoving: { type: 'boolean' },
+    onFloor: optional({ type: 'boolean' }),
+    moveState: optional({ type: 'enum', values: Object.values(MOVE_STATES) }),
+    stamina: optional({ type: 'number', min: 0, max: 1 }),
+    seq: { type: 'number', min: 0 } // Last input the server applied for this player
+  }
+}
+
+export const EVENT_SCHEMAS = {
+  'player-move': {
+    userId: id,
+    m: { type: 'string', maxLength: 32 },
+    i: optional(identity)
+  },
+  'ping': {
+    userId: id,
+    sentAt: { type: 'number' }
+  },
+  'pong': {
+    userId: id,
+    targetUserId: id,
+    sentAt: { type: 'number' },
+    serverTime: optional({ type: 'number' }) // Responder's room clock, see clockSync.js
+  },
+  'request-state': {
+    userId: id,
+    timestamp
+  },
+  'chat-message': {
+    userId: id,
+    username: { type: 'string', maxLength: 32 },
+    color: optional({ type: 'string', maxLength: 32 }),
+    message: { type: 'string', maxLength: 500 },
+    timestamp
+  },
+  'projectile-spawn': {
+    userId: id,
+    id: optional({ type: 'string', maxLength: 32 }),
+    weaponId: optional(weaponId), // Missing from older clients: the ball launcher
+    position: { type: 'vec3', limit: WORLD_LIMIT },
+    velocity: { type: 'vec3', maxLength: MAX_PROJECTILE_SPEED },
+    color: optional({ type: 'string', maxLength: 32 }),
+    timestamp
+  },
+  'kick-event': {
+    targetUserId: id,
+    kickedBy: id,
+    action: optional({ type: 'enum', values: ['kick', 'temp-ban', 'perm-ban'] }),
+    reason: optional({ type: 'string', maxLength: 200 }),
+    timestamp
+  },
+  'knockback': {
+    userId: id,
+    targetUserId: id,
+    impulse: { type: 'vec3', maxLength: MAX_IMPULSE },
+    damage: { type: 'number', min: 0, max: MAX_DAMAGE },
+    weaponId: optional(weaponId),
+    shotAt: timestamp, // When the shot was fired; timestamp is when the hit was sent
+    timestamp
+  },
+  'health-update': {
+    userId: id,
+    health: { type: 'number', min: 0, max: MAX_HEALTH },
+    isDead: { type: 'boolean' },
+    attackerId: optional(id),
+    timestamp
+  },
+  'match-state': {
+    userId: id,
+    state: { type: 'json', maxBytes: MAX_MATCH_STATE_BYTES },
+    timestamp
+  },
+  'world-snapshot': {
+    userId: id,
+    tick: { type: 'number', min: 0 },
+    projectiles: { type: 'array', maxItems: MAX_PROJECTILES, items: projectile },
+    match: optional({ type: 'json', maxBytes: MAX_MATCH_STATE_BYTES }),
+    timestamp
+  },
+  'world-state': {
+    userId: id,
+    targetUserId: id,
+    tick: { type: 'number', min: 0 },
+    projectiles: { type: 'array', maxItems: MAX_PROJECTILES, items: projectile },
+    match: optional({ type: 'json', maxBytes: MAX_MATCH_STATE_BYTES }),
+    players: { type: 'array', maxItems: MAX_PLAYERS, items: playerState },
+    timestamp
+  },
+  // Client -> authoritative relay only
+  'player-input': {
+    userId: id,
+    seq: { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER },
+    buttons: { type: 'number', min: 0, max: 255 },
+    yaw: { type: 'number' },
+    pitch: { type: 'number', min: -Math.PI / 2, max: Math.PI / 2 },
+    fire: optional({
+      type: 'object',
+      fields: {
+        id: { type: 'string', maxLength: 32 },
+        charge: { type: 'number', min: 0, max: MAX_CHARGE_MS },
+        color: optional({ type: 'string', maxLength: 32 }),
+        weaponId: optional(weaponId),
+        seed: optional({ type: 'number', min: 0, max: 4294967295 }) // For the weapon's spread
+      }
+    }),
+    reload: optional(weaponId) // Started reloading this weapon (after any fire in the same input)
+  },
+  // Authoritative relay -> clients
+  'server-state': {
+    userId: id,
+    tick: { type: 'number', min: 0 },
+    players: { type: 'array', maxItems: MAX_PLAYERS, items: serverPlayerState },
+    projectiles: { type: 'array', maxItems: MAX_PROJECTILES, items: projectile },
+    timestamp
+  },
+  'match-event': {
+    userId: id,
+    action: { type: 'enum', values: ['flag-pickup', 'flag-return', 'flag-capture'] },
+    team: { type: 'enum', values: ['red', 'blue'] },
+    timestamp
+  }
+}
+
+// Token buckets: `rate` tokens per second, up to `burst` saved up
+export const RATE_LIMITS = {
+  'player-move': { rate: 40, burst: 60 },
+  'ping': { rate: 2, burst: 5 },
+  'pong': { rate: 20, burst: 40 }, // One per pinging peer
+  'request-state': { rate: 2, burst: 5 },
+  'chat-message': { rate: 2, burst: 5 },
+  'projectile-spawn': { rate: 15, burst: 20 }, // The pellet gun fires 10 a second
+  'kick-event': { rate: 1, burst: 3 },
+  'knockback': { rate: 20, burst: 30 },
+  'health-update': { rate: 20, burst: 30 },
+  'match-state': { rate: 5, burst: 10 },
+  'world-snapshot': { rate: 10, burst: 20 },
+  'world-state': { rate: 5, burst: 10 }, // One per request-state, host only
+  'match-event': { rate: 5, burst: 10 },
+  'player-input': { rate: 70, burst: 120 }, // One per 60 Hz tick, plus catch-up after a hitch
+  'server-state': { rate: 30, burst: 60 }
+}
+
+// Who an event claims to come from
+const SENDER_FIELDS = {
+  'kick-event': 'kickedBy'
+}
+
+function checkField(field, value) {
+  if (value === undefined || value === null) {
+    return field.optional ? { value: null } : { error: 'missing' }
+  }
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') return { error: 'not a string' }
+      if (value.length > field.maxLength) return { error: 'too long' }
+      return { value }
+
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'not a finite number' }
+      const min = field.min ?? -Infinity
+      const max = field.max ?? Infinity
+      return { value: Math.max(min, Math.min(max, value)) }
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: 'not a boolean' }
+      return { value }
+
+    case 'enum':
+      if (!field.values.includes(value)) return { error: 'unknown value' }
+      return { value }
+
+    case 'vec3': {
+      if (typeof value !== 'object') return { error: 'not a vector' }
+      const { x, y, z } = value
+      if (![x, y, z].every(n => typeof n === 'number' && Number.isFinite(n))) {
+        return { error: 'not a finite vector' }
+      }
+      if (field.limit) {
+        const clamp = (n) => Math.max(-field.limit, Math.min(field.limit, n))
+        return { value: { x: clamp(x), y: clamp(y), z: clamp(z) } }
+      }
+      const length = Math.sqrt(x * x + y * y + z * z)
+      const scale = field.maxLength && length > field.maxLength ? field.maxLength / length : 1
+      return { value: { x: x * scale, y: y * scale, z: z * scale } }
+    }
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return { error: 'not an object' }
+      return checkFields(field.fields, value)
+
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'not an array' }
+      if (value.length > field.maxItems) return { error: 'too many items' }
+      const items = []
+      for (let i = 0; i < value.length; i++) {
+        const result = checkField(field.items, value[i])
+        if (result.error) return { error: `[${i}] ${result.error}` }
+        items.push(result.value)
+      }
+      return { value: items }
+    }
+
+    case 'json': {
+      // Structure is checked by the consumer (MatchManager.applyState); just bound the size
+      if (typeof value !== 'object') return { error: 'not an object' }
+      let size
+      try {
+        size = JSON.stringify(value).length
+      } catch {
+        return { error: 'not serializable' }
+      }
+      if (size > field.maxBytes) return { error: 'too large' }
+      return { value }
+    }
+
+    default:
+      return { error: `unknown field type ${field.type}` }
+  }
+}
+
+function checkFields(fields, payload) {
+  const value = {}
+  for (const [name, field] of Object.entries(fields)) {
+    const result = checkField(field, payload[name])
+    if (result.error) return { error: `${name}: ${result.error}` }
+    if (result.value !== null) value[name] = result.value
+  }
+  return { value }
+}
+
+// Check a payload against its event's schema.
+// Returns { value } with only known, clamped fields, or { error }.
+export function validatePayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event]
+  if (!schema) return { error: 'unknown event' }
+  if (!payload || typeof payload !== 'object') return { error: 'not an object' }
+  return checkFields(schema, payload)
+}
+
+export class TokenBucket {
+  constructor(rate, burst, now = performance.now()) {
+    this.rate = rate
+    this.burst = burst
+    this.tokens = burst
+    this.updatedAt = now
+  }
+
+  take(now = performance.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate)
+    this.updatedAt = now
+    if (this.tokens < 1) return false
+    this.tokens -= 1
+    return true
+  }
+}
+
+// Per-room gatekeeper used by MultiplayerManager for every incoming broadcast
+export class MessageGuard {
+  constructor() {
+    this.buckets = new Map() // `${senderId}:${event}` -> TokenBucket, `*:${event}` for unattributed messages
+    this.strikes = new Map() // sender -> [timestamps]
+    this.blocked = new Map() // sender -> blocked until
+    this.counts = new Map() // userId -> { invalid, rateLimited, blocked }
+    this.peerCount = 1 // Others in the room, see setPeerCount()
+    this.lastLogAt = 0
+  }
+
+  // Unattributed messages share one bucket per event, as big as everyone's together
+  setPeerCount(count) {
+    this.peerCount = Math.max(1, count)
+  }
+
+  // Returns the sanitized payload, or null if it should be dropped.
+  // options.sender: who sent it as far as the transport can tell (the relay's
+  // socket key). Without one (Supabase, BroadcastChannel) the payload's own id is
+  // all we have and anyone can put any id there. Invalid messages still count
+  // against that id, so a stream of them is dropped like any other, but the rate
+  // limit is shared by the room, so flooding under someone's id can't single them out.
+  check(event, payload, { sender = null, now = performance.now() } = {}) {
+    const claimed = payload?.[SENDER_FIELDS[event] || 'userId']
+    const senderId = sender ?? (typeof claimed === 'string' ? claimed : 'unknown')
+
+    if (this.isBlocked(senderId, now)) {
+      this.count(senderId, 'blocked', now)
+      return null
+    }
+
+    // Speaking for someone else
+    if (sender !== null && claimed !== sender) {
+      this.strike(senderId, 'invalid', now)
+      return null
+    }
+
+    const limit = RATE_LIMITS[event]
+    if (limit) {
+      const scale = sender === null ? this.peerCount : 1
+      const key = sender === null ? `*:${event}` : `${senderId}:${event}`
+      if (!this.buckets.has(key)) this.buckets.set(key, new TokenBucket(limit.rate * scale, limit.burst * scale, now))
+      const bucket = this.buckets.get(key)
+      bucket.rate = limit.rate * scale
+      bucket.burst = limit.burst * scale
+      if (!bucket.take(now)) {
+        // Nobody to blame when the room as a whole is over
+        if (sender === null) this.count(senderId, 'rateLimited', now)
+        else this.strike(senderId, 'rateLimited', now)
+        return null
+      }
+    }
+
+    const result = validatePayload(event, payload)
+    if (result.error) {
+      this.strike(senderId, 'invalid', now)
+      return null
+    }
+
+    return result.value
+  }
+
+  isBlocked(userId, now = performance.now()) {
+    const until = this.blocked.get(userId)
+    if (!until) return false
+    if (now < until) return true
+    this.blocked.delete(userId)
+    return false
+  }
+
+  strike(userId, reason, now) {
+    this.count(userId, reason, now)
+
+    const recent = (this.strikes.get(userId) || []).filter(t => now - t < STRIKE_WINDOW_MS)
+    recent.push(now)
+    this.strikes.set(userId, recent)
+
+    if (recent.length >= STRIKE_LIMIT) {
+      console.warn(`[MessageGuard] Ignoring ${userId} for ${BLOCK_DURATION_MS / 1000}s after ${recent.length} bad messages`)
+      this.blocked.set(userId, now + BLOCK_DURATION_MS)
+      this.strikes.delete(userId)
+    }
+  }
+
+  count(userId, reason, now) {
+    if (!this.counts.has(userId)) this.counts.set(userId, { invalid: 0, rateLimited: 0, blocked: 0 })
+    this.counts.get(userId)[reason]++
+
+    // Summarize instead of logging every dropped packet
+    if (now - this.lastLogAt >= LOG_INTERVAL_MS) {
+      this.lastLogAt = now
+      console.debug('[MessageGuard] Dropped messages by sender:', Object.fromEntries(this.counts))
+    }
+  }
+
+  forget(userId) {
+    Array.from(this.buckets.keys())
+      .filter(key => key.startsWith(`${userId}:`))
+      .forEach(key => this.buckets.delete(key))
+    this.strikes.delete(userId)
+  }
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MessageGuard } from './validation.js'
+
+const STRIKE_LIMIT = 50 // Bad messages in STRIKE_WINDOW_MS before a sender is ignored
+const BLOCK_DURATION_MS = 30000
+
+function chat(userId, message = 'hi') {
+  return { userId, username: userId, message, timestamp: 1 }
+}
+
+test('without a sender, flooding under someone\'s id does not use up their rate limit', () => {
+  const guard = new MessageGuard()
+  guard.setPeerCount(3)
+
+  // chat-message allows a burst of 5 per peer
+  for (let i = 0; i < 5; i++) {
+    assert.ok(guard.check('chat-message', chat('victim', 'spam'), { now: 0 }))
+  }
+  assert.deepEqual(guard.check('chat-message', chat('victim'), { now: 0 }), chat('victim'))
+})
+
+test('without a sender, the room shares one rate limit per event', () => {
+  const guard = new MessageGuard()
+  guard.setPeerCount(2)
+
+  const accepted = Array.from({ length: 20 }, (_, i) => guard.check('chat-message', chat(`user${i}`), { now: 0 }))
+  assert.equal(accepted.filter(Boolean).length, 10)
+  assert.ok(guard.check('chat-message', chat('late'), { now: 1000 }), 'the bucket refills')
+  assert.equal(guard.isBlocked('user19', 1000), false, 'nobody is blamed for the room being busy')
+})
+
+test('without a sender, a stream of invalid messages is dropped', () => {
+  const guard = new MessageGuard()
+
+  for (let i = 0; i < STRIKE_LIMIT; i++) {
+    assert.equal(guard.check('player-move', { userId: 'troll', data: 42 }, { now: i * 30 }), null)
+  }
+  const now = STRIKE_LIMIT * 30
+  assert.equal(guard.isBlocked('troll', now), true)
+  assert.equal(guard.check('chat-message', chat('troll'), { now }), null)
+  assert.ok(guard.check('chat-message', chat('bystander'), { now }))
+  assert.ok(guard.check('chat-message', chat('troll'), { now: now + BLOCK_DURATION_MS }))
+})
+
+test('with a sender, buckets and strikes belong to the sender, not the claimed id', () => {
+  const guard = new MessageGuard()
+
+  for (let i = 0; i < STRIKE_LIMIT; i++) {
+    assert.equal(guard.check('chat-message', chat('victim'), { sender: 'mallory', now: i * 100 }), null)
+  }
+  assert.equal(guard.isBlocked('mallory', STRIKE_LIMIT * 100), true)
+  assert.equal(guard.isBlocked('victim', STRIKE_LIMIT * 100), false)
+  assert.ok(guard.check('chat-message', chat('victim'), { sender: 'victim', now: STRIKE_LIMIT * 100 }))
+})
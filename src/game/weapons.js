@@ -0,0 +1,157 @@
+// Weapon definitions, shared by PlayerController/GameEngine and the headless room
+// simulation (server/simulation.js), so a weapon id is all a remote client or the
+// server needs to reproduce a shot. No DOM here.
+//
+// kind 'projectile' fires a ball (src/game/projectiles.js), 'hitscan' traces a
+// ray against the world Octree and player capsules and hits straight away.
+//
+// Projectiles: speed (+ chargeSpeed the longer the button is held, for charge
+// weapons that fire on release), radius (m), gravity (m/s²), lifetimeMs, and
+// knockback/damage as multipliers on the speed-based hit. An explosion goes off
+// when the lifetime (the fuse) runs out and pushes everyone in its radius away,
+// falling off with distance.
+//
+// Ammo: magazine shots, then reloadMs to refill it from reserve (PlayerController).
+
+export const WEAPONS = {
+  launcher: {
+    id: 'launcher',
+    name: 'Ball Launcher',
+    kind: 'projectile',
+    fireIntervalMs: 250,
+    magazine: 8,
+    reserve: 32,
+    reloadMs: 1500,
+    charge: true,
+    automatic: false,
+    spread: 0, // Radians, random cone around the aim
+    speed: 15,
+    chargeSpeed: 30,
+    radius: 0.2,
+    gravity: 30,
+    lifetimeMs: 40000,
+    knockback: 1,
+    damage: 1
+  },
+  pellets: {
+    id: 'pellets',
+    name: 'Pellet Gun',
+    kind: 'projectile',
+    fireIntervalMs: 100,
+    magazine: 30,
+    reserve: 120,
+    reloadMs: 2000,
+    charge: false,
+    automatic: true, // Keeps firing while the button is held
+    spread: 0.04,
+    speed: 45,
+    chargeSpeed: 0,
+    radius: 0.08,
+    gravity: 8,
+    lifetimeMs: 2000,
+    knockback: 0.25,
+    damage: 0.2
+  },
+  grenade: {
+    id: 'grenade',
+    name: 'Grenade',
+    kind: 'projectile',
+    fireIntervalMs: 900,
+    magazine: 2,
+    reserve: 6,
+    reloadMs: 2500,
+    charge: true,
+    automatic: false,
+    spread: 0,
+    speed: 10,
+    chargeSpeed: 14,
+    radius: 0.25,
+    gravity: 30,
+    lifetimeMs: 2500, // Fuse
+    knockback: 0.3,
+    damage: 0.2,
+    explosion: { radius: 4, impulse: 18, damage: 45 }
+  },
+  rail: {
+    id: 'rail',
+    name: 'Rail',
+    kind: 'hitscan',
+    fireIntervalMs: 1200,
+    magazine: 3,
+    reserve: 9,
+    reloadMs: 2200,
+    charge: false,
+    automatic: false,
+    spread: 0,
+    range: 80,
+    impulse: 15,
+    damage: 50
+  }
+}
+
+export const WEAPON_IDS = Object.keys(WEAPONS) // Number keys 1..n in this order
+export const DEFAULT_WEAPON = 'launcher'
+
+// Fastest any projectile weapon launches a ball, fully charged
+export const MAX_LAUNCH_SPEED = Math.max(
+  ...Object.values(WEAPONS).filter(weapon => weapon.kind === 'projectile').map(weapon => weapon.speed + weapon.chargeSpeed)
+)
+
+// Unknown or missing ids (older clients) are the launcher
+export function getWeapon(weaponId) {
+  return WEAPONS[weaponId] || WEAPONS[DEFAULT_WEAPON]
+}
+
+// Full magazines and reserves: weaponId -> { magazine, reserve }
+export function createAmmo() {
+  const ammo = {}
+  WEAPON_IDS.forEach(id => {
+    ammo[id] = { magazine: WEAPONS[id].magazine, reserve: WEAPONS[id].reserve }
+  })
+  return ammo
+}
+
+// Small seeded generator (mulberry32): the shooter picks the seed and sends it,
+// so the server spreads the shot the same way
+function seededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+export function createSpreadSeed() {
+  return Math.floor(Math.random() * 4294967296)
+}
+
+// Tilt direction (normalized THREE.Vector3, changed in place) by up to spread
+// radians, spread evenly over the cone
+export function applySpread(direction, spread, seed) {
+  if (!spread) return direction
+
+  const random = seededRandom(seed)
+  const angle = random() * Math.PI * 2
+  const tilt = Math.sqrt(random()) * spread
+
+  // Two axes across the aim: horizontal, then the one perpendicular to both
+  const sideX = -direction.z
+  const sideZ = direction.x
+  const sideLength = Math.hypot(sideX, sideZ) || 1
+  const side = { x: sideX / sideLength, y: 0, z: sideZ / sideLength }
+  const up = {
+    x: direction.y * side.z,
+    y: direction.z * side.x - direction.x * side.z,
+    z: -direction.y * side.x
+  }
+
+  const a = Math.cos(angle) * tilt
+  const b = Math.sin(angle) * tilt
+  direction.x += side.x * a + up.x * b
+  direction.y += side.y * a + up.y * b
+  direction.z += side.z * a + up.z * b
+  return direction.normalize()
+}
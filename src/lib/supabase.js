@@ -77,3 +77,52 @@ export async function getAllProfiles() {
     return FALLBACK_PROFILES
   }
 }
+
+// Moderation (see supabase/migrations/*_moderation.sql)
+
+// Staff roles only; anyone without a row is a regular player
+export async function getRoles() {
+  try {
+    const { data, error } = await supabase
+      .from('user_roles')
+      .select('user_id, role')
+
+    if (error || !data) return {}
+    return Object.fromEntries(data.map(row => [row.user_id, row.role]))
+  } catch {
+    return {}
+  }
+}
+
+// The most severe ban still in force for a user, or null
+export async function getActiveBan(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('bans')
+      .select('*')
+      .eq('user_id', userId)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+      .order('created_at', { ascending: false })
+
+    if (error || !data || data.length === 0) return null
+    return data.find(ban => ban.action === 'perm-ban') || data[0]
+  } catch {
+    return null
+  }
+}
+
+export async function recordModerationAction({ userId, action, reason = null, roomId = null, durationMs = null, createdBy }) {
+  const { data, error } = await supabase
+    .from('bans')
+    .insert({
+      user_id: userId,
+      action,
+      reason,
+      room_id: roomId,
+      expires_at: durationMs === null ? null : new Date(Date.now() + durationMs).toISOString(),
+      created_by: createdBy
+    })
+    .select()
+    .single()
+  return { data, error }
+}
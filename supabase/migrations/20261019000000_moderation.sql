@@ -0,0 +1,81 @@
+-- Moderation: roles and bans.
+--
+-- user_roles holds one role per user (no row = 'player'). Only admins can
+-- grant roles. bans records every kick / temp-ban / perm-ban; the client checks
+-- for an active row before joining a room, and a kicked client double-checks
+-- here before obeying a kick-event, so a forged broadcast can't remove anyone.
+
+create table if not exists public.user_roles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  role text not null default 'player' check (role in ('admin', 'moderator', 'player')),
+  granted_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.bans (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  action text not null check (action in ('kick', 'temp-ban', 'perm-ban')),
+  reason text,
+  room_id text,
+  -- null only for perm-ban
+  expires_at timestamptz,
+  created_by uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  constraint bans_expiry check ((action = 'perm-ban') = (expires_at is null))
+);
+
+create index if not exists bans_user_id_idx on public.bans (user_id, expires_at);
+
+-- security definer so policies can look up roles without recursing into RLS
+create or replace function public.has_role(uid uuid, roles text[])
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.user_roles where user_id = uid and role = any (roles));
+$$;
+
+alter table public.user_roles enable row level security;
+alter table public.bans enable row level security;
+
+-- Everyone signed in can see roles (clients verify kick senders against them)
+create policy "Roles are readable by signed-in users"
+  on public.user_roles for select
+  to authenticated
+  using (true);
+
+create policy "Admins manage roles"
+  on public.user_roles for all
+  to authenticated
+  using (public.has_role(auth.uid(), array['admin']))
+  with check (public.has_role(auth.uid(), array['admin']));
+
+-- Players can see their own bans, moderators see all of them
+create policy "Users read their own bans"
+  on public.bans for select
+  to authenticated
+  using (user_id = auth.uid() or public.has_role(auth.uid(), array['admin', 'moderator']));
+
+-- Moderators can act on players; only admins can act on moderators, nobody on admins
+create policy "Moderators record moderation actions"
+  on public.bans for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and public.has_role(auth.uid(), array['admin', 'moderator'])
+    and not public.has_role(user_id, array['admin'])
+    and (not public.has_role(user_id, array['moderator']) or public.has_role(auth.uid(), array['admin']))
+  );
+
+create policy "Admins lift bans"
+  on public.bans for delete
+  to authenticated
+  using (public.has_role(auth.uid(), array['admin']));
+
+-- Seed the existing game master (previously hard-coded by email in Game.jsx)
+insert into public.user_roles (user_id, role)
+select id, 'admin' from auth.users where id = '3a2745f7-4954-4c89-a4de-d23e74dd9a06'
+on conflict (user_id) do update set role = 'admin';